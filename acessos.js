@@ -0,0 +1,55 @@
+// acessos.js (ESM) — GlicoCerto
+// Compartilhamento: o paciente convida médico(a) ou cuidador(a) por e-mail; o convite aceito
+// vira uma concessão (grant) de leitura ou de leitura + edição das configurações clínicas.
+//
+// Tabela acessos: id, paciente_id, convidado_email, convidado_id (preenchido ao aceitar),
+// papel, permissao, status ("pendente" | "ativo" | "revogado"), created_at, aceito_em, revogado_em.
+// As consultas usam o JWT de quem chama, então o RLS precisa liberar a leitura cruzada, ex.:
+//   create policy "leitura compartilhada" on refeicoes for select using (
+//     user_id = auth.uid() or exists (select 1 from acessos a where a.paciente_id = refeicoes.user_id
+//       and a.convidado_id = auth.uid() and a.status = 'ativo'));
+// (idem em patient_settings, com update quando a.permissao = 'editar_config').
+
+export const PAPEIS = ["medico", "cuidador"];
+export const PERMISSOES = ["leitura", "editar_config"];
+const NIVEL = { leitura: 1, editar_config: 2 };
+
+// O que um convidado com "editar_config" pode mudar (nada de Nightscout, dados pessoais etc.)
+export const CONFIG_EDITAVEL_CONVIDADO = [
+  "insulina_rapida", "insulina_basal", "dose_diaria", "icr", "isf", "target", "pct_cal_pf", "pg_strategy",
+  "hipo", "hiper", "bolus_max_pct", "perfis", "trend_ajuste", "trend_ajuste_mgdl",
+];
+
+// Campos do cadastro que nunca saem para convidados
+export const CONFIG_PRIVADA = ["nightscout_api_secret"];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizarEmail = (s) => String(s || "").trim().toLowerCase();
+
+// Body do convite → { convite } ou { error }
+export function validarConvite({ email, papel, permissao } = {}) {
+  const convidado_email = normalizarEmail(email);
+  if (!EMAIL_RE.test(convidado_email)) return { error: "e-mail inválido" };
+  if (!PAPEIS.includes(papel)) return { error: `papel deve ser ${PAPEIS.join(" ou ")}` };
+  const perm = permissao || "leitura";
+  if (!PERMISSOES.includes(perm)) return { error: `permissao deve ser ${PERMISSOES.join(" ou ")}` };
+  return { convite: { convidado_email, papel, permissao: perm } };
+}
+
+export const permite = (permissao, nivel) => (NIVEL[permissao] || 0) >= (NIVEL[nivel] || Infinity);
+
+// Cadastro visto por um convidado (sem segredos)
+export function configParaConvidado(cfg) {
+  if (!cfg) return cfg;
+  const out = { ...cfg };
+  for (const k of CONFIG_PRIVADA) delete out[k];
+  return out;
+}
+
+// Settings enviados por um convidado → só os campos clínicos ({ settings } ou { error })
+export function filtrarConfigConvidado(settings) {
+  const proibidos = Object.keys(settings || {}).filter((k) => !CONFIG_EDITAVEL_CONVIDADO.includes(k));
+  if (proibidos.length) return { error: `Campos não editáveis por convidados: ${proibidos.join(", ")}` };
+  return { settings };
+}
@@ -0,0 +1,175 @@
+// ajustes.js (ESM) — GlicoCerto
+// Sugestões de ajuste de ICR/ISF a partir do histórico: cada refeição é pareada com a glicemia
+// do Nightscout 2–4h depois. Só SUGERE (para revisão da equipe) — nada é gravado no cadastro.
+
+import { bolusParams, resolverPerfil, minutosDoDia, FUSO_PADRAO, HIPO_PADRAO, doseRapidaDe, doseRegularDe } from "./bolus.js";
+
+export const POS_INICIO_MIN = 120;
+export const POS_FIM_MIN = 240;
+export const MIN_LEITURAS_POS = 6;        // leituras mínimas na janela de 2–4h
+export const SEM_REFEICAO_ANTES_MIN = 120; // refeição anterior muito perto confunde o resultado
+export const MIN_REFEICOES_GRUPO = 5;
+export const VARIACAO_MIN = 0.1;           // só sugere se o valor implícito diferir ≥ 10%
+export const VARIACAO_MAX = 0.2;           // e nunca propõe mudar mais de 20% de uma vez
+export const CONSISTENCIA_MIN = 0.7;       // fração das refeições do grupo apontando na mesma direção
+export const MARGEM_ALTA = 40;             // mg/dL acima do alvo na janela = dose insuficiente
+export const MARGEM_BAIXA = 30;            // mg/dL abaixo do alvo = dose excessiva
+
+export const PERIODOS = [
+  { nome: "madrugada", ini: 0, fim: 360 },
+  { nome: "manha", ini: 360, fim: 660 },
+  { nome: "tarde", ini: 660, fim: 1080 },
+  { nome: "noite", ini: 1080, fim: 1440 },
+];
+
+const ms = (d) => new Date(d).getTime();
+const r1 = (n) => Math.round(n * 10) / 10;
+const mediana = (arr) => {
+  const v = [...arr].sort((a, b) => a - b);
+  const m = Math.floor(v.length / 2);
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+};
+
+export function periodoDoDia(data_hora, fuso = FUSO_PADRAO) {
+  const min = minutosDoDia(data_hora, fuso);
+  return PERIODOS.find((p) => min >= p.ini && min < p.fim).nome;
+}
+
+/**
+ * Pareia uma refeição com o CGM. Devolve { par } ou { motivo } (refeição excluída da análise).
+ * `anterior`/`proxima`: datas (ms) das refeições vizinhas; `correcoes`: datas (ms) de correções avulsas.
+ */
+export function parearRefeicao(row, serie, cfg, { anterior = null, proxima = null, correcoes = [] } = {}) {
+  const t = ms(row.data_hora);
+  if (anterior != null && t - anterior < SEM_REFEICAO_ANTES_MIN * 60000) return { motivo: "refeição anterior há menos de 2h" };
+  if (proxima != null && proxima - t <= POS_FIM_MIN * 60000) return { motivo: "outra refeição em até 4h" };
+  if (correcoes.some((c) => c > t && c - t <= POS_FIM_MIN * 60000)) return { motivo: "correção avulsa em até 4h" };
+
+  const janela = serie.filter((e) => {
+    const dt = (ms(e.date) - t) / 60000;
+    return dt >= POS_INICIO_MIN && dt <= POS_FIM_MIN;
+  });
+  if (janela.length < MIN_LEITURAS_POS) return { motivo: "CGM sem leituras suficientes 2–4h depois" };
+
+  let pre = Number(row.glicemia) > 0 ? Number(row.glicemia) : null;
+  if (pre == null) {
+    const antes = serie.filter((e) => ms(e.date) <= t && t - ms(e.date) <= 10 * 60000).pop();
+    pre = antes?.mgdl ?? null;
+  }
+  if (pre == null) return { motivo: "sem glicemia pré-refeição" };
+
+  const p = bolusParams(resolverPerfil(cfg, { data_hora: row.data_hora, tipo: row.tipo || "outro" }));
+  const cho = Number(row.cho_total_g || 0);
+  const rapida = doseRapidaDe(row);
+  const choU = cho / p.icr;
+  // a parte de correção não é gravada separada: o que passou da dose de CHO
+  const corrU = Math.max(0, rapida - choU);
+  const pos = janela.reduce((a, e) => a + e.mgdl, 0) / janela.length;
+  const minimo = Math.min(...serie.filter((e) => ms(e.date) >= t && ms(e.date) - t <= POS_FIM_MIN * 60000).map((e) => e.mgdl));
+  // insulina que faltou (+) ou sobrou (−) para chegar ao alvo, em U
+  const faltouU = (pos - p.target) / p.isf;
+
+  const par = {
+    refeicao_id: row.id ?? null,
+    data_hora: new Date(t).toISOString(),
+    tipo: row.tipo || "outro",
+    periodo: periodoDoDia(t, cfg?.fuso_horario || FUSO_PADRAO),
+    perfil: p.perfil?.nome || null,
+    icr: p.icr,
+    isf: p.isf,
+    target: p.target,
+    glicemia_pre: pre,
+    cho_g: r1(cho),
+    dose_rapida_u: rapida,
+    dose_regular_u: doseRegularDe(row),
+    correcao_u: r1(corrU),
+    pos_mgdl: Math.round(pos),
+    min_mgdl: minimo,
+    delta_mgdl: Math.round(pos - p.target),
+    icr_implicito: null,
+    isf_implicito: null,
+  };
+  // refeição "limpa" (quase sem correção) informa o ICR; correção relevante informa o ISF
+  if (corrU < 0.5 && cho >= 20 && choU + faltouU > 0) par.icr_implicito = r1(cho / (choU + faltouU));
+  if (corrU >= 1 && pre - p.target > 0 && corrU + faltouU > 0) par.isf_implicito = Math.round((pre - p.target) / (corrU + faltouU));
+  return { par };
+}
+
+// Sugestão para um parâmetro a partir dos valores implícitos do grupo (ou null)
+function sugerir(parametro, atual, implicitos, { temHipo }) {
+  if (implicitos.length < MIN_REFEICOES_GRUPO) return null;
+  const med = mediana(implicitos);
+  const razao = med / atual - 1;
+  if (Math.abs(razao) < VARIACAO_MIN) return null;
+  const mesmoLado = implicitos.filter((v) => Math.sign(v / atual - 1) === Math.sign(razao)).length / implicitos.length;
+  if (mesmoLado < CONSISTENCIA_MIN) return null;
+
+  // ICR/ISF menores = mais insulina; com hipo no grupo não se propõe aumentar dose
+  const maisInsulina = razao < 0;
+  if (maisInsulina && temHipo) return { parametro, atual, sugerido: null, bloqueada: true, justificativa: "Glicemias altas, mas houve hipoglicemia no grupo: revisar com a equipe antes de aumentar a dose." };
+
+  const passo = Math.max(-VARIACAO_MAX, Math.min(VARIACAO_MAX, razao));
+  const sugerido = parametro === "icr" ? Math.round(atual * (1 + passo) * 2) / 2 : Math.round(atual * (1 + passo));
+  return {
+    parametro,
+    atual,
+    sugerido,
+    implicito_mediana: parametro === "icr" ? r1(med) : Math.round(med),
+    variacao_pct: Math.round((sugerido / atual - 1) * 100),
+    direcao: maisInsulina ? "mais_insulina" : "menos_insulina",
+    consistencia_pct: Math.round(mesmoLado * 100),
+    n: implicitos.length,
+    justificativa: maisInsulina
+      ? `Glicemia 2–4h acima do alvo em ${Math.round(mesmoLado * 100)}% das refeições analisadas.`
+      : `Glicemia 2–4h abaixo do alvo em ${Math.round(mesmoLado * 100)}% das refeições analisadas.`,
+  };
+}
+
+/**
+ * Analisa as refeições (qualquer ordem) contra a série do CGM (normalizeSeries).
+ * Agrupa por tipo × período do dia × perfil de horário e devolve { grupos, excluidas }.
+ * `correcoes`: registros avulsos de correção (a refeição seguida de correção não entra).
+ * Premissa: ICR/ISF do cadastro atual valiam no período analisado.
+ */
+export function analisarAjustes(rows, serie, cfg, { correcoes = [] } = {}) {
+  const correcoesMs = correcoes.map((c) => ms(c.data_hora)).filter(Number.isFinite);
+  const hipo = Number(cfg?.hipo) > 0 ? Number(cfg.hipo) : HIPO_PADRAO;
+  const refeicoes = [...(rows || [])].filter((r) => Number.isFinite(ms(r.data_hora))).sort((a, b) => ms(a.data_hora) - ms(b.data_hora));
+  const pares = [], excluidas = [];
+
+  refeicoes.forEach((row, i) => {
+    const { par, motivo } = parearRefeicao(row, serie, cfg, {
+      anterior: i > 0 ? ms(refeicoes[i - 1].data_hora) : null,
+      proxima: i < refeicoes.length - 1 ? ms(refeicoes[i + 1].data_hora) : null,
+      correcoes: correcoesMs,
+    });
+    if (par) pares.push(par);
+    else excluidas.push({ refeicao_id: row.id ?? null, data_hora: row.data_hora, motivo });
+  });
+
+  const porGrupo = new Map();
+  for (const p of pares) {
+    const k = `${p.tipo}|${p.periodo}|${p.perfil || ""}`;
+    if (!porGrupo.has(k)) porGrupo.set(k, []);
+    porGrupo.get(k).push(p);
+  }
+
+  const grupos = [...porGrupo.values()].map((evid) => {
+    const { tipo, periodo, perfil, icr, isf, target } = evid[0];
+    const hipos = evid.filter((p) => p.min_mgdl < hipo).length;
+    const resumo = {
+      delta_medio_mgdl: Math.round(evid.reduce((a, p) => a + p.delta_mgdl, 0) / evid.length),
+      pct_acima: Math.round((evid.filter((p) => p.delta_mgdl > MARGEM_ALTA).length / evid.length) * 100),
+      pct_abaixo: Math.round((evid.filter((p) => p.delta_mgdl < -MARGEM_BAIXA).length / evid.length) * 100),
+      hipos,
+    };
+    const sugestoes = [
+      sugerir("icr", icr, evid.map((p) => p.icr_implicito).filter((v) => v != null), { temHipo: hipos > 0 }),
+      sugerir("isf", isf, evid.map((p) => p.isf_implicito).filter((v) => v != null), { temHipo: hipos > 0 }),
+    ].filter(Boolean);
+    return { tipo, periodo, perfil, atual: { icr, isf, target }, n: evid.length, resumo, sugestoes, evidencia: evid };
+  });
+
+  grupos.sort((a, b) => b.sugestoes.length - a.sugestoes.length || b.n - a.n);
+  return { grupos, excluidas };
+}
@@ -0,0 +1,160 @@
+// alimentos.js (ESM) — GlicoCerto
+// Tabela local de composição (data/taco.json) + busca e conciliação dos itens da IA.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MATCH_MIN_SCORE = 0.8; // abaixo disso o item fica com os valores da IA
+
+// "sem" fica: "sem açúcar" / "sem gordura" mudam a composição
+const STOPWORDS = new Set(["de", "da", "do", "das", "dos", "com", "e", "em", "a", "o", "ao", "na", "no", "tipo", "para"]);
+
+// "Pães franceses" → ["pao", "frances"] (minúsculas, sem acento, singular aproximado)
+export function tokens(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((t) => t && !STOPWORDS.has(t) && !/^\d+$/.test(t))
+    .map((t) => t.replace(/(oes|aes|aos)$/, "ao").replace(/s$/, "").replace(/e$/, ""));
+}
+
+const tokMatch = (a, b) => a === b || (Math.min(a.length, b.length) >= 4 && (a.startsWith(b) || b.startsWith(a)));
+
+// Palavras que mudam a composição: sobrando de qualquer lado, não é o mesmo alimento
+const MODIFICADORES = new Set(tokens("zero diet light sem integral desnatado semidesnatado adoçado"));
+
+// Dice entre listas de tokens (0–1)
+function dice(qt, ct) {
+  if (!qt.length || !ct.length) return 0;
+  const livres = [...ct];
+  let hits = 0;
+  for (const q of qt) {
+    const i = livres.findIndex((c) => tokMatch(q, c));
+    if (i >= 0) { hits++; livres.splice(i, 1); }
+  }
+  return (2 * hits) / (qt.length + ct.length);
+}
+
+function carregarTabela() {
+  const file = path.join(__dirname, "data", "taco.json");
+  const { alimentos } = JSON.parse(fs.readFileSync(file, "utf8"));
+  return alimentos.map((a) => ({ ...a, _chaves: [a.nome, ...(a.sinonimos || [])].map(tokens) }));
+}
+const TABELA = carregarTabela();
+
+const publico = ({ _chaves, ...a }) => a;
+
+// Melhor pontuação de um alimento para o texto (nome oficial ou sinônimos)
+function pontuar(qt, alimento) {
+  return Math.max(...alimento._chaves.map((ct) => dice(qt, ct)));
+}
+
+// Busca para o endpoint: ordena por pontuação; `q` parcial também casa por prefixo
+export function buscarAlimentos(q, limit = 10) {
+  const qt = tokens(q);
+  if (!qt.length) return [];
+  return TABELA
+    .map((a) => ({ a, score: pontuar(qt, a) }))
+    .filter((r) => r.score > 0)
+    .sort((x, y) => y.score - x.score || x.a.nome.localeCompare(y.a.nome))
+    .slice(0, Math.max(1, Math.min(50, Number(limit) || 10)))
+    .map((r) => ({ ...publico(r.a), score: Math.round(r.score * 100) / 100 }));
+}
+
+// A chave cobre todas as palavras do texto (nenhuma sobra) e não traz modificador que o texto não tem?
+// "Coca-Cola Zero" não é "coca cola"; "Pão francês com manteiga" não é só o pão.
+function cobreTudo(qt, ct) {
+  const livres = [...ct];
+  for (const q of qt) {
+    const i = livres.findIndex((c) => tokMatch(q, c));
+    if (i < 0) return false;
+    livres.splice(i, 1);
+  }
+  return !livres.some((c) => MODIFICADORES.has(c));
+}
+
+// Melhor correspondência confiável (ou null). Mais estrita que a busca: os valores da tabela
+// substituem os da IA, então um alimento parecido (diet, light, com acompanhamento) não serve.
+export function melhorAlimento(nome) {
+  const qt = tokens(nome);
+  if (!qt.length) return null;
+  let melhor = null;
+  for (const a of TABELA) {
+    for (const ct of a._chaves) {
+      if (!cobreTudo(qt, ct)) continue;
+      const score = dice(qt, ct);
+      if (score >= MATCH_MIN_SCORE && (!melhor || score > melhor.score)) melhor = { a, score };
+    }
+  }
+  return melhor ? { ...publico(melhor.a), score: Math.round(melhor.score * 100) / 100 } : null;
+}
+
+const r1 = (n) => Math.round(n * 10) / 10;
+
+// Valores da tabela para `gramas` da porção
+function valoresDaTabela(ref, gramas) {
+  const f = gramas / 100;
+  const v = ref.por_100g;
+  return {
+    cho_g: r1(v.cho_g * f),
+    fibras_g: r1(v.fibras_g * f),
+    proteina_g: r1(v.proteina_g * f),
+    gordura_g: r1(v.gordura_g * f),
+    kcal: Math.round(v.kcal * f),
+  };
+}
+
+/**
+ * Concilia cada item da análise com a tabela: com match confiável e peso conhecido,
+ * CHO/fibras/proteína/gordura/kcal vêm da tabela (escalados por gramas/100) e os polióis zeram
+ * (a tabela não os tem). Cada item ganha `fonte` ("TACO", "USDA"… ou "IA") e, se casou, `alimento_ref`.
+ * Itens com fonte "manual" (valores digitados pelo usuário) ou "rotulo" (tabela da embalagem) são mantidos como estão.
+ */
+export function conciliarAnalise(analise) {
+  if (!analise?.itens) return analise;
+  const itens = analise.itens.map((it) => {
+    if (it.fonte === "manual" || it.fonte === "rotulo") return it;
+    const ref = it.gramas > 0 ? melhorAlimento(it.nome) : null;
+    if (!ref) return { ...it, fonte: "IA" };
+
+    // fibras vêm da tabela junto com o CHO; polióis da IA (relativos ao CHO dela) não valem para o da tabela
+    return {
+      ...it,
+      ...valoresDaTabela(ref, it.gramas),
+      poliois_g: 0,
+      fonte: ref.fonte,
+      alimento_ref: { id: ref.id, nome: ref.nome, score: ref.score },
+      valores_ia: it.valores_ia || {
+        cho_g: it.cho_g, fibras_g: it.fibras_g, poliois_g: it.poliois_g, proteina_g: it.proteina_g, gordura_g: it.gordura_g, kcal: it.kcal,
+      },
+    };
+  });
+  return { ...analise, itens };
+}
+
+const CAMPOS_TABELA = ["cho_g", "fibras_g", "proteina_g", "gordura_g", "kcal"];
+
+// Itens editados pelo usuário: item novo só com nome + gramas é completado pela tabela.
+// Devolve { itens } ou { error } (alimento fora da tabela precisa vir com os valores).
+export function completarItens(itens) {
+  if (!Array.isArray(itens)) return { error: "itens deve ser uma lista" };
+  const out = [];
+  for (const [i, it] of itens.entries()) {
+    const faltando = CAMPOS_TABELA.some((k) => it?.[k] == null || it[k] === "");
+    if (!faltando) {
+      out.push({ ...it, poliois_g: it.poliois_g ?? 0 });
+      continue;
+    }
+    const gramas = Number(it?.gramas);
+    const ref = gramas > 0 ? melhorAlimento(it?.nome) : null;
+    if (!ref) return { error: `item ${i + 1} (${it?.nome || "sem nome"}): não encontrado na tabela; informe gramas e os valores` };
+    out.push({ ...it, gramas, ...valoresDaTabela(ref, gramas), poliois_g: it.poliois_g ?? 0, confianca: it.confianca || "alta" });
+  }
+  return { itens: out };
+}
@@ -0,0 +1,81 @@
+// auth.js (ESM) — GlicoCerto
+// Verificação local do JWT do Supabase (HS256 com o JWT secret do projeto) — sem ida ao servidor de auth.
+// `assinarJwt` gera tokens com o mesmo formato para testes (test/) e desenvolvimento local.
+// Middlewares: exigirUsuario (401 sem sessão) e proprio (403 se o userId não for o do token).
+
+import crypto from "crypto";
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const hmac = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest();
+
+function jwtInvalido(msg) {
+  const e = new Error(msg);
+  e.code = "JWT_INVALIDO";
+  return e;
+}
+
+export function assinarJwt(payload, secret, { expiraEmS = 3600, agora = Date.now() } = {}) {
+  const iat = Math.floor(agora / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify({ aud: "authenticated", role: "authenticated", iat, exp: iat + expiraEmS, ...payload }));
+  return `${header}.${body}.${b64url(hmac(`${header}.${body}`, secret))}`;
+}
+
+// Payload verificado; lança erro com code "JWT_INVALIDO" (formato, algoritmo, assinatura, exp/nbf)
+export function verificarJwt(token, secret, { agora = Date.now(), folgaS = 30 } = {}) {
+  const partes = String(token || "").split(".");
+  if (partes.length !== 3) throw jwtInvalido("token malformado");
+  const [h, p, sig] = partes;
+
+  let header, payload;
+  try {
+    header = JSON.parse(Buffer.from(h, "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+  } catch {
+    throw jwtInvalido("token malformado");
+  }
+  if (header?.alg !== "HS256") throw jwtInvalido(`algoritmo não suportado: ${header?.alg}`);
+
+  const esperado = hmac(`${h}.${p}`, secret);
+  const recebido = Buffer.from(sig, "base64url");
+  if (recebido.length !== esperado.length || !crypto.timingSafeEqual(recebido, esperado)) {
+    throw jwtInvalido("assinatura inválida");
+  }
+
+  const s = Math.floor(agora / 1000);
+  if (typeof payload.exp === "number" && s > payload.exp + folgaS) throw jwtInvalido("token expirado");
+  if (typeof payload.nbf === "number" && s + folgaS < payload.nbf) throw jwtInvalido("token ainda não válido");
+  return payload;
+}
+
+// Payload → usuário do app. A anon key também é um JWT (role "anon", sem sub): não é usuário.
+export function usuarioDoPayload(payload) {
+  if (payload?.role !== "authenticated" || !payload?.sub) return null;
+  return { id: String(payload.sub), email: String(payload.email || "").trim().toLowerCase() };
+}
+
+// Middleware das rotas /api: `usuarioDoReq(req)` → { id, email } ou null vira req.user (sem usuário, 401)
+export function exigirUsuario(usuarioDoReq, { publicas = [] } = {}) {
+  const livres = new Set(publicas);
+  return async (req, res, next) => {
+    if (livres.has(req.path)) return next();
+    try {
+      req.user = await usuarioDoReq(req);
+    } catch (e) {
+      console.error("[auth]", e);
+      return res.status(500).json({ ok: false, error: "Falha ao verificar a sessão." });
+    }
+    if (!req.user) return res.status(401).json({ ok: false, error: "Sessão ausente ou expirada. Faça login." });
+    next();
+  };
+}
+
+// Rotas só do próprio usuário: o userId do cliente (params/body/query), se vier, tem que ser o do token.
+// Depois disso a rota usa req.user.id.
+export function proprio(req, res, next) {
+  const informado = req.params?.userId ?? req.body?.userId ?? req.query?.userId;
+  if (informado != null && String(informado) !== req.user.id) {
+    return res.status(403).json({ ok: false, error: "userId não corresponde ao usuário autenticado." });
+  }
+  next();
+}
@@ -0,0 +1,544 @@
+// bolus.js (ESM) — GlicoCerto
+// Motor de cálculo de bolus (regras SBD). Funções puras: não falam com
+// Supabase nem com a IA, só recebem macros + glicemia + cadastro do paciente.
+
+// Parâmetros do paciente com os mesmos defaults usados no server.js
+export function bolusParams(cfg) {
+  return {
+    icr:    Number(cfg?.icr || cfg?.insulina_cho || 10),              // g CHO por 1U
+    isf:    Number(cfg?.isf || cfg?.glicose_insulina || 50),          // mg/dL por 1U
+    target: Number(cfg?.target || 100),                               // mg/dL
+    strat:  String(cfg?.pg_strategy || "regular_now").trim(),         // "regular_now" | "split_rapid"
+    pgPct:  Math.max(0, Math.min(100, Number(cfg?.pct_cal_pf ?? 100))), // % kcal de proteína
+    rapid:  String(cfg?.insulina_rapida || "Fiasp"),
+    perfil: cfg?.perfil_ativo || null,                                // faixa de horário aplicada (resolverPerfil)
+  };
+}
+
+// ---- Perfis por horário (patient_settings.perfis) ----
+// perfis: [{ nome?, inicio: "HH:MM", fim: "HH:MM", tipos?: ["cafe", ...], icr?, isf?, target? }]
+// fim < inicio = atravessa a meia-noite. Campos ausentes caem nos escalares do cadastro.
+export const TIPOS_REFEICAO = ["cafe", "almoco", "lanche", "jantar", "ceia", "outro"];
+export const FUSO_PADRAO = "America/Sao_Paulo";
+export const MAX_NOME_PERFIL = 40;
+
+const hhmmToMin = (s) => {
+  const m = String(s || "").match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+const minInFaixa = (min, ini, fim) => (ini < fim ? min >= ini && min < fim : min >= ini || min < fim);
+
+// Valida e normaliza; devolve { perfis } ou { error }
+export function validarPerfis(perfis) {
+  if (perfis == null) return { perfis: null };
+  if (!Array.isArray(perfis)) return { error: "perfis deve ser uma lista" };
+  if (perfis.length > 12) return { error: "no máximo 12 perfis" };
+
+  const out = [];
+  for (const [i, p] of perfis.entries()) {
+    const n = i + 1;
+    const ini = hhmmToMin(p?.inicio), fim = hhmmToMin(p?.fim);
+    if (ini == null || fim == null) return { error: `perfil ${n}: inicio/fim devem estar em HH:MM` };
+    if (ini === fim) return { error: `perfil ${n}: inicio e fim não podem ser iguais` };
+
+    const nome = String(p?.nome ?? "").trim();
+    if (nome.length > MAX_NOME_PERFIL) return { error: `perfil ${n}: nome com no máximo ${MAX_NOME_PERFIL} caracteres` };
+    const norm = { nome: nome || `${p.inicio}–${p.fim}`, inicio: p.inicio, fim: p.fim };
+    for (const k of ["icr", "isf", "target"]) {
+      if (p?.[k] == null || p[k] === "") continue;
+      const v = Number(p[k]);
+      if (!Number.isFinite(v) || v <= 0) return { error: `perfil ${n}: ${k} deve ser > 0` };
+      norm[k] = v;
+    }
+    if (norm.target != null && (norm.target < 70 || norm.target > 250)) {
+      return { error: `perfil ${n}: target deve estar entre 70 e 250 mg/dL` };
+    }
+    if (p?.tipos != null) {
+      if (!Array.isArray(p.tipos) || p.tipos.some((t) => !TIPOS_REFEICAO.includes(t))) {
+        return { error: `perfil ${n}: tipos deve conter apenas ${TIPOS_REFEICAO.join(", ")}` };
+      }
+      if (p.tipos.length) norm.tipos = [...new Set(p.tipos)];
+    }
+    out.push({ ...norm, _ini: ini, _fim: fim });
+  }
+
+  // faixas sem tipo não podem se sobrepor (senão a escolha fica ambígua)
+  const livres = out.filter((p) => !p.tipos);
+  for (let a = 0; a < livres.length; a++) {
+    for (let b = a + 1; b < livres.length; b++) {
+      const A = livres[a], B = livres[b];
+      if (minInFaixa(B._ini, A._ini, A._fim) || minInFaixa(A._ini, B._ini, B._fim)) {
+        return { error: `perfis "${A.nome}" e "${B.nome}" se sobrepõem` };
+      }
+    }
+  }
+  return { perfis: out.map(({ _ini, _fim, ...p }) => p) };
+}
+
+// Minutos do dia (0–1439) de `data_hora` no fuso do paciente
+export function minutosDoDia(data_hora, fuso = FUSO_PADRAO) {
+  const d = new Date(data_hora || Date.now());
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", { timeZone: fuso, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(d);
+  } catch {
+    parts = new Intl.DateTimeFormat("en-GB", { timeZone: FUSO_PADRAO, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(d);
+  }
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+/**
+ * Devolve o cadastro com icr/isf/target do perfil que vale para a refeição.
+ * Prioridade: faixa que lista o `tipo` e contém o horário → faixa com o `tipo` →
+ * faixa sem tipos que contém o horário → escalares do cadastro.
+ */
+export function resolverPerfil(cfg, { data_hora, tipo } = {}) {
+  const perfis = Array.isArray(cfg?.perfis) ? cfg.perfis : [];
+  if (!perfis.length) return { ...cfg, perfil_ativo: null };
+
+  const min = minutosDoDia(data_hora, cfg?.fuso_horario || FUSO_PADRAO);
+  const noHorario = (p) => {
+    const ini = hhmmToMin(p.inicio), fim = hhmmToMin(p.fim);
+    return ini != null && fim != null && minInFaixa(min, ini, fim);
+  };
+  const doTipo = (p) => Array.isArray(p.tipos) && p.tipos.includes(tipo);
+
+  const perfil =
+    perfis.find((p) => doTipo(p) && noHorario(p)) ||
+    perfis.find((p) => doTipo(p)) ||
+    perfis.find((p) => !p.tipos?.length && noHorario(p));
+  if (!perfil) return { ...cfg, perfil_ativo: null };
+
+  const out = { ...cfg, perfil_ativo: { nome: perfil.nome, inicio: perfil.inicio, fim: perfil.fim } };
+  if (perfil.icr != null)    { out.icr = perfil.icr; out.insulina_cho = perfil.icr; }
+  if (perfil.isf != null)    { out.isf = perfil.isf; out.glicose_insulina = perfil.isf; }
+  if (perfil.target != null) out.target = perfil.target;
+  return out;
+}
+
+// Arredondamento de dose: inteiro (≥ 0,5 arredonda para cima). `passo` permite 0,5U (canetas de meia unidade).
+export function arredondarDose(u, passo = 1) {
+  const n = Number(u);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  const p = Number(passo) > 0 ? Number(passo) : 1;
+  return Math.floor(n / p + 0.5 + 1e-9) * p;
+}
+
+// Proteína + gordura → CHO equivalente: (kcalP × %prot + kcalG × 10%) ÷ 10
+export function pgEquivalente(prot_g, gord_g, pgPct = 100) {
+  const p = Math.max(0, Number(prot_g) || 0);
+  const g = Math.max(0, Number(gord_g) || 0);
+  const kcalP = p * 4;
+  const kcalG = g * 9;
+  const kcalPConsiderada = kcalP * (pgPct / 100);
+  const kcalGConsiderada = kcalG * 0.10;
+  const kcalConsiderada = kcalPConsiderada + kcalGConsiderada;
+  return {
+    prot_g: p,
+    gord_g: g,
+    kcalP,
+    kcalG,
+    kcalPConsiderada,
+    kcalGConsiderada,
+    kcalConsiderada,
+    pg_cho_equiv_g: kcalConsiderada / 10,
+  };
+}
+
+// ---- Insulina ativa (IOB) ----
+// Curvas de ação por insulina: pico e duração total (min), modelo exponencial (Loop/oref0)
+export const INSULIN_CURVES = {
+  fiasp:   { nome: "Fiasp",   peak: 55,  dia: 360 },
+  lispro:  { nome: "Lispro",  peak: 75,  dia: 360 },
+  aspart:  { nome: "Aspart",  peak: 75,  dia: 360 },
+  regular: { nome: "Regular", peak: 150, dia: 480 },
+};
+export const IOB_LOOKBACK_H = Math.max(...Object.values(INSULIN_CURVES).map((c) => c.dia)) / 60;
+
+// Nome livre do cadastro (insulina_rapida) → chave da curva
+export function insulinCurveKey(nome) {
+  const s = String(nome || "").toLowerCase();
+  if (/fiasp/.test(s)) return "fiasp";
+  if (/aspart|novorapid|novolog/.test(s)) return "aspart";
+  if (/lispro|humalog|admelog|lyumjev/.test(s)) return "lispro";
+  if (/regular|humulin\s*r|novolin\s*r|^r$/.test(s)) return "regular";
+  return s ? "lispro" : "fiasp"; // vazio = default do cadastro (Fiasp); desconhecida = curva mais longa das rápidas
+}
+
+// Fração da dose ainda ativa após `min` minutos (1 → 0)
+export function iobFraction(min, curve) {
+  const { peak: tp, dia: td } = curve;
+  if (!(min > 0)) return 1;
+  if (min >= td) return 0;
+  const tau = tp * (1 - tp / td) / (1 - 2 * tp / td);
+  const a = 2 * tau / td;
+  const S = 1 / (1 - a + (1 + a) * Math.exp(-td / tau));
+  const f = 1 - S * (1 - a) * ((min * min / (tau * td * (1 - a)) - min / tau - 1) * Math.exp(-min / tau) + 1);
+  return Math.max(0, Math.min(1, f));
+}
+
+/**
+ * Soma a insulina ativa de doses anteriores.
+ * doses: [{ data_hora, unidades, tipo: "rapida" | "regular" }]
+ * A rápida usa a curva de cfg.insulina_rapida; a Regular (P+G) usa a curva "regular".
+ */
+export function calcularIob(doses, cfg, agora = new Date()) {
+  const rapidKey = insulinCurveKey(cfg?.insulina_rapida);
+  const now = new Date(agora).getTime();
+  const itens = [];
+  let total_u = 0;
+  for (const d of doses || []) {
+    const u = Number(d?.unidades);
+    const t = new Date(d?.data_hora).getTime();
+    if (!(u > 0) || !Number.isFinite(t) || t > now) continue;
+    const key = d.tipo === "regular" ? "regular" : rapidKey;
+    const min = (now - t) / 60000;
+    const ativo = u * iobFraction(min, INSULIN_CURVES[key]);
+    if (!(ativo > 0)) continue;
+    total_u += ativo;
+    itens.push({ data_hora: new Date(t).toISOString(), unidades: u, insulina: INSULIN_CURVES[key].nome, minutos: Math.round(min), ativo_u: ativo });
+  }
+  return { total_u, curva_rapida: rapidKey, doses: itens };
+}
+
+// Dose efetivamente aplicada (registrada pelo paciente) ou, se não houver, a sugerida
+export const doseRapidaDe = (r) => Number(r?.dose_rapida_aplicada ?? r?.dose_rapida_total ?? 0);
+export const doseRegularDe = (r) => Number(r?.dose_regular_aplicada ?? r?.dose_regular_pg ?? 0);
+
+// Linhas de refeicoes → doses para o IOB
+export function dosesFromRefeicoes(rows) {
+  const out = [];
+  for (const r of rows || []) {
+    if (doseRapidaDe(r) > 0) out.push({ data_hora: r.data_hora, unidades: doseRapidaDe(r), tipo: "rapida" });
+    if (doseRegularDe(r) > 0) out.push({ data_hora: r.data_hora, unidades: doseRegularDe(r), tipo: "regular" });
+  }
+  return out;
+}
+
+// ---- Ajuste pela seta de tendência (Nightscout `direction`) ----
+// Opt-in: patient_settings.trend_ajuste. Valores = mg/dL somados à glicemia da correção
+// (projeção ~30 min); patient_settings.trend_ajuste_mgdl sobrescreve seta a seta.
+export const TREND_AJUSTE_PADRAO = {
+  DoubleUp: 75,
+  SingleUp: 50,
+  FortyFiveUp: 25,
+  Flat: 0,
+  FortyFiveDown: -25,
+  SingleDown: -50,
+  DoubleDown: -75,
+};
+export const TREND_SETAS = { DoubleUp: "⇈", SingleUp: "↑", FortyFiveUp: "↗", Flat: "→", FortyFiveDown: "↘", SingleDown: "↓", DoubleDown: "⇊" };
+
+export function validarTrendAjuste(mapa) {
+  if (mapa == null) return null;
+  if (typeof mapa !== "object" || Array.isArray(mapa)) return "trend_ajuste_mgdl deve ser um objeto";
+  for (const [k, v] of Object.entries(mapa)) {
+    if (!(k in TREND_AJUSTE_PADRAO)) return `trend_ajuste_mgdl: seta desconhecida "${k}"`;
+    if (typeof v !== "number" || !Number.isFinite(v) || Math.abs(v) > 150) return `trend_ajuste_mgdl.${k} deve estar entre -150 e 150`;
+  }
+  return null;
+}
+
+// mg/dL a somar pela seta (0 se desativado ou seta desconhecida/NONE)
+export function ajusteTendencia(trend, cfg) {
+  if (!cfg?.trend_ajuste || !trend) return 0;
+  const mapa = { ...TREND_AJUSTE_PADRAO, ...(cfg.trend_ajuste_mgdl || {}) };
+  return Number(mapa[trend]) || 0;
+}
+
+// Valida a entrada numérica; devolve mensagem de erro (string) ou null
+export function validarEntradaBolus(input) {
+  const campos = ["carbo_g", "prot_g", "gord_g", "pg_cho_equiv_g", "glicemia", "iob_u"];
+  for (const k of campos) {
+    const v = input?.[k];
+    if (v == null || v === "") continue;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) return `${k} deve ser um número ≥ 0`;
+  }
+  if (input?.glicemia != null && input.glicemia !== "" && !(input.glicemia > 0 && input.glicemia < 1000)) return "glicemia deve ser > 0 e < 1000";
+  return null;
+}
+
+/**
+ * Calcula o bolus de uma refeição.
+ * input: { carbo_g, prot_g?, gord_g?, pg_cho_equiv_g?, glicemia?, kcal_total?, iob_u? }
+ *   - se prot_g/gord_g vierem, o equivalente P+G é recalculado pela regra SBD;
+ *     senão usa pg_cho_equiv_g como veio.
+ *   - iob_u (insulina ativa) só abate a correção; nunca a dose de CHO/P+G.
+ *   - trend (seta do NS) ajusta a glicemia usada na correção, se cfg.trend_ajuste.
+ * cfg: linha de patient_settings (+ pg_strategy do request, se houver)
+ * opts: { passo?, iob? } — iob = resultado de calcularIob (usado quando input.iob_u não vem)
+ */
+export function calcularBolus(input, cfg, opts = {}) {
+  const prm = bolusParams(cfg);
+  const passo = opts.passo ?? 1;
+
+  const carbo_g = Math.max(0, Number(input?.carbo_g) || 0);
+  const kcal_total = Math.max(0, Number(input?.kcal_total) || 0);
+  const glicemia = Number(input?.glicemia) || 0;
+  const trend = input?.trend || null;
+  const ajuste_mgdl = glicemia > 0 ? ajusteTendencia(trend, cfg) : 0;
+  const glicemiaCorr = Math.max(0, glicemia + ajuste_mgdl);
+  const iob_u = Math.max(0, Number(input?.iob_u ?? opts.iob?.total_u) || 0);
+
+  const temMacros = input?.prot_g != null || input?.gord_g != null;
+  const pg = temMacros
+    ? pgEquivalente(input.prot_g, input.gord_g, prm.pgPct)
+    : { ...pgEquivalente(0, 0, prm.pgPct), pg_cho_equiv_g: Math.max(0, Number(input?.pg_cho_equiv_g) || 0) };
+
+  const doseCho = prm.icr > 0 ? carbo_g / prm.icr : 0;
+  const corBruta = glicemiaCorr > 0 && prm.isf > 0 ? Math.max(0, (glicemiaCorr - prm.target) / prm.isf) : 0;
+  const doseCor = Math.max(0, corBruta - iob_u);
+  const dosePg  = prm.icr > 0 ? pg.pg_cho_equiv_g / prm.icr : 0;
+
+  const regularNow = prm.strat === "regular_now";
+  const rapida_agora_u  = arredondarDose(doseCho + doseCor, passo);
+  const regular_u       = regularNow ? arredondarDose(dosePg, passo) : 0;
+  const rapida_depois_u = regularNow ? 0 : arredondarDose(dosePg, passo);
+
+  return {
+    params: prm,
+    cho: { carbo_g, icr: prm.icr, dose: doseCho, dose_u: arredondarDose(doseCho, passo) },
+    correcao: {
+      glicemia,
+      trend,
+      ajuste_mgdl,
+      glicemia_ajustada: glicemiaCorr,
+      target: prm.target,
+      isf: prm.isf,
+      bruta: corBruta,
+      iob_u,
+      dose: doseCor,
+      dose_u: arredondarDose(doseCor, passo),
+    },
+    pg: {
+      ...pg,
+      pct_prot: prm.pgPct,
+      dose: dosePg,
+      dose_u: arredondarDose(dosePg, passo),
+      insulina: regularNow ? "Regular" : prm.rapid,
+      momento: regularNow ? "agora" : "2-3h",
+    },
+    rapida_agora_u,
+    regular_u,
+    rapida_depois_u,
+    total_u: rapida_agora_u + regular_u + rapida_depois_u,
+    iob: opts.iob && input?.iob_u == null ? opts.iob : { total_u: iob_u, doses: [] },
+    kcal_total,
+  };
+}
+
+// ---- Guardrails de segurança (hipo/hiper/dose máxima) ----
+// warnings: [{ code, nivel: "critico" | "alerta" | "info", mensagem }]
+export const HIPO_PADRAO = 70;
+export const HIPER_PADRAO = 180;
+// % da dose diária (dose_diaria) permitida num único bolus. Uma refeição costuma levar 10–20% da
+// dose diária; 30% deixa folga para refeições grandes e ainda barra erro de digitação/análise.
+export const BOLUS_MAX_PCT_PADRAO = 30;
+
+// Faixas aceitas no cadastro. hipo < hiper sai das próprias faixas (máx. de hipo < mín. de hiper).
+export const LIMITES_CADASTRO = { hipo: [54, 100], hiper: [120, 400], bolus_max_pct: [5, 100] };
+
+// Valida hipo/hiper/bolus_max_pct de settings; devolve mensagem de erro (string) ou null
+export function validarLimites(settings) {
+  for (const [k, [min, max]] of Object.entries(LIMITES_CADASTRO)) {
+    const v = settings?.[k];
+    if (v == null || v === "") continue;
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min || v > max) return `${k} deve estar entre ${min} e ${max}`;
+  }
+  return null;
+}
+
+export function aplicarGuardrails(b, cfg) {
+  const hipo  = Number(cfg?.hipo)  > 0 ? Number(cfg.hipo)  : HIPO_PADRAO;
+  const hiper = Number(cfg?.hiper) > 0 ? Number(cfg.hiper) : HIPER_PADRAO;
+  const gli = b.correcao.glicemia;
+  const gliProj = b.correcao.glicemia_ajustada ?? gli; // com seta de tendência, se ativada
+  const { isf, target } = b.params;
+  const warnings = [];
+  const original = { rapida_agora_u: b.rapida_agora_u, regular_u: b.regular_u, rapida_depois_u: b.rapida_depois_u, total_u: b.total_u };
+  const d = { rapida_agora_u: b.rapida_agora_u, regular_u: b.regular_u, rapida_depois_u: b.rapida_depois_u };
+  let status = "ok";
+
+  if (gli > 0 && gli < hipo) {
+    // hipoglicemia: nenhuma insulina até tratar e remedir
+    d.rapida_agora_u = d.regular_u = d.rapida_depois_u = 0;
+    status = "recusado";
+    warnings.push({
+      code: "HIPO",
+      nivel: "critico",
+      mensagem: `Glicemia ${gli} mg/dL abaixo do limite de hipoglicemia (${hipo} mg/dL). Não aplique insulina agora: ` +
+        `trate com 15 g de carboidrato de ação rápida, remeça em 15 minutos e recalcule a dose.`,
+    });
+  } else if (gli > 0 && gliProj < target && isf > 0) {
+    // abaixo do alvo (atual ou projetado pela seta): correção reversa abate a dose de CHO
+    const reducao = (target - gliProj) / isf;
+    const novo = arredondarDose(Math.max(0, b.cho.dose - reducao));
+    if (novo < d.rapida_agora_u) {
+      d.rapida_agora_u = novo;
+      status = "reduzido";
+      warnings.push({
+        code: "ABAIXO_ALVO",
+        nivel: "alerta",
+        mensagem: `Glicemia ${gliProj !== gli ? `projetada ${gliProj}` : gli} mg/dL abaixo do alvo (${target} mg/dL): dose rápida reduzida em ${reducao.toFixed(1).replace(".", ",")}U. ` +
+          `Considere aplicar logo após comer.`,
+      });
+    }
+  }
+
+  if (status !== "recusado" && gliProj < hipo) {
+    warnings.push({
+      code: "QUEDA_PROJETADA",
+      nivel: "alerta",
+      mensagem: `Tendência de queda: glicemia projetada ${gliProj} mg/dL, abaixo de ${hipo} mg/dL. Tenha carboidrato rápido à mão e remeça em 15–30 min.`,
+    });
+  }
+
+  if (gli > hiper) {
+    warnings.push({
+      code: "HIPER",
+      nivel: gli >= 250 ? "critico" : "alerta",
+      mensagem: `Glicemia ${gli} mg/dL acima do limite de hiperglicemia (${hiper} mg/dL). Meça cetonas (sangue ou urina); ` +
+        `com cetonemia ≥ 0,6 mmol/L ou cetonúria positiva, hidrate-se, evite exercício e siga o plano de dias de doença ou procure atendimento.`,
+    });
+  }
+
+  // teto por bolus relativo à dose diária cadastrada
+  const doseDiaria = Number(cfg?.dose_diaria);
+  const pct = Number(cfg?.bolus_max_pct) > 0 ? Number(cfg.bolus_max_pct) : BOLUS_MAX_PCT_PADRAO;
+  if (doseDiaria > 0) {
+    const teto = arredondarDose((doseDiaria * pct) / 100);
+    const total = d.rapida_agora_u + d.regular_u + d.rapida_depois_u;
+    if (total > teto) {
+      // corta primeiro a P+G, depois a rápida de agora
+      let excesso = total - teto;
+      for (const k of ["rapida_depois_u", "regular_u", "rapida_agora_u"]) {
+        const corte = Math.min(excesso, d[k]);
+        d[k] -= corte;
+        excesso -= corte;
+      }
+      if (status === "ok") status = "reduzido";
+      warnings.push({
+        code: "DOSE_MAXIMA",
+        nivel: "critico",
+        mensagem: `Bolus calculado (${total}U) acima do limite de ${teto}U (${pct}% da dose diária de ${doseDiaria}U). ` +
+          `Dose limitada a ${teto}U — confira a refeição e os parâmetros antes de aplicar.`,
+      });
+    }
+  }
+
+  if (b.iob?.erro) warnings.push({ code: "IOB_INDISPONIVEL", nivel: "alerta", mensagem: b.iob.erro });
+
+  return {
+    ...b,
+    ...d,
+    total_u: d.rapida_agora_u + d.regular_u + d.rapida_depois_u,
+    guardrail: { status, hipo, hiper, original: status === "ok" ? null : original },
+    warnings,
+  };
+}
+
+// ---- Sobras (foto do prato depois de comer) ----
+/**
+ * Refaz as doses com o que foi de fato consumido. A rápida de agora (e a Regular, em regular_now)
+ * já foi aplicada: o que cobriu comida que sobrou vira `excesso_u`. Em split_rapid a rápida de P+G
+ * (2–3h) ainda não foi aplicada: passa a cobrir só a P+G consumida, descontado o excesso.
+ * servido/consumido: { carbo_g, prot_g, gord_g }; glicemia (opcional): a de agora, antes da dose de P+G.
+ */
+export function dosesComSobras(servido, consumido, cfg, { glicemia, passo = 1 } = {}) {
+  const prm = bolusParams(cfg);
+  const hipo = Number(cfg?.hipo) > 0 ? Number(cfg.hipo) : HIPO_PADRAO;
+  const regularNow = prm.strat === "regular_now";
+  const pgServido = pgEquivalente(servido.prot_g, servido.gord_g, prm.pgPct).pg_cho_equiv_g;
+  const pgConsumido = pgEquivalente(consumido.prot_g, consumido.gord_g, prm.pgPct).pg_cho_equiv_g;
+  const choNaoComido = Math.max(0, servido.carbo_g - consumido.carbo_g);
+  const pgNaoComido = Math.max(0, pgServido - pgConsumido);
+  const excesso = prm.icr > 0 ? (choNaoComido + (regularNow ? pgNaoComido : 0)) / prm.icr : 0;
+
+  const depoisOriginal = regularNow || !(prm.icr > 0) ? 0 : arredondarDose(pgServido / prm.icr, passo);
+  let depois = regularNow || !(prm.icr > 0) ? 0 : arredondarDose(Math.max(0, pgConsumido / prm.icr - excesso), passo);
+  const warnings = [];
+  const gli = Number(glicemia) || 0;
+
+  if (!regularNow && gli > 0 && gli < hipo) {
+    depois = 0;
+    warnings.push({
+      code: "HIPO",
+      nivel: "critico",
+      mensagem: `Glicemia ${gli} mg/dL abaixo do limite de hipoglicemia (${hipo} mg/dL): não aplique a dose de proteína/gordura. ` +
+        `Trate com 15 g de carboidrato de ação rápida e remeça em 15 minutos.`,
+    });
+  }
+  if (excesso >= 0.5) {
+    warnings.push({
+      code: "SOBRAS_EXCESSO",
+      nivel: "alerta",
+      mensagem: `Cerca de ${excesso.toFixed(1).replace(".", ",")}U já aplicadas cobriam comida que sobrou ` +
+        `(${Math.round(choNaoComido)} g de CHO). Monitore a glicemia nas próximas horas e tenha carboidrato rápido à mão.`,
+    });
+  }
+  if (!regularNow && depois < depoisOriginal && !(gli > 0 && gli < hipo)) {
+    warnings.push({
+      code: "PG_REDUZIDA",
+      nivel: "info",
+      mensagem: `Dose de ${prm.rapid} para proteína/gordura (2–3h) ajustada de ${depoisOriginal}U para ${depois}U pelo que foi comido.`,
+    });
+  }
+
+  return {
+    strat: prm.strat,
+    icr: prm.icr,
+    pg_servido_g: Math.round(pgServido * 10) / 10,
+    pg_consumido_g: Math.round(pgConsumido * 10) / 10,
+    cho_nao_comido_g: Math.round(choNaoComido * 10) / 10,
+    excesso_u: Math.round(excesso * 10) / 10,
+    rapida_depois_original_u: depoisOriginal,
+    rapida_depois_u: depois,
+    warnings,
+  };
+}
+
+// ---- Renderização (blocos 💉 Insulina + ✅ Resumo da dose) ----
+const fmt1 = (n) => Number(n || 0).toFixed(1).replace(".", ",");
+// Texto do cadastro (nome da insulina, do perfil — editáveis por convidado) vai escapado para o HTML
+export const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+export function bolusHtml(b) {
+  const { icr, isf, target, strat } = b.params;
+  const rapid = esc(b.params.rapid);
+  const regularNow = strat === "regular_now";
+  const pgU = regularNow ? b.regular_u : b.rapida_depois_u;
+  const pgLi = regularNow
+    ? `<li><b>Insulina R (proteína/gordura):</b> ${fmt1(b.pg.pg_cho_equiv_g)} ÷ ${icr} = ${fmt1(b.pg.dose)}U ⇒ <b>${pgU}U</b></li>`
+    : `<li><i>Proteína/gordura será aplicada com insulina ${rapid} em 2–3 horas:</i> ${fmt1(b.pg.pg_cho_equiv_g)} ÷ ${icr} = ${fmt1(b.pg.dose)}U ⇒ <b>${pgU}U</b></li>`;
+
+  const perfil = b.params.perfil;
+  const icone = { critico: "⛔", alerta: "⚠️", info: "ℹ️" };
+  return [
+    b.warnings?.length ? `<h3>🚨 Alertas</h3>` : "",
+    b.warnings?.length ? `<ul class="gc-warnings">${b.warnings.map((w) => `<li class="gc-warn-${w.nivel}">${icone[w.nivel] || "⚠️"} ${esc(w.mensagem)}</li>`).join("")}</ul>` : "",
+    `<h3>💉 Insulina</h3>`,
+    perfil ? `<p class="muted">Perfil de horário: <b>${esc(perfil.nome)}</b> (${esc(perfil.inicio)}–${esc(perfil.fim)}) — ICR ${icr}, ISF ${isf}, alvo ${target}</p>` : "",
+    `<ul>`,
+    `<li><b>${rapid} (cho):</b> ${fmt1(b.cho.carbo_g)} ÷ ${icr} = ${fmt1(b.cho.dose)}U ⇒ <b>${b.cho.dose_u}U</b></li>`,
+    b.correcao.ajuste_mgdl
+      ? `<li><b>Ajuste pela tendência:</b> ${TREND_SETAS[b.correcao.trend] || ""} ${esc(b.correcao.trend)}: ${b.correcao.glicemia} ${b.correcao.ajuste_mgdl > 0 ? "+" : "–"} ${Math.abs(b.correcao.ajuste_mgdl)} = <b>${b.correcao.glicemia_ajustada} mg/dL</b> (usada na correção)</li>`
+      : "",
+    b.correcao.iob_u > 0
+      ? `<li><b>Correção (glicemia):</b> máx(0, (${b.correcao.glicemia_ajustada} – ${target}) ÷ ${isf} – IOB ${fmt1(b.correcao.iob_u)}U) = máx(0, ${fmt1(b.correcao.bruta)} – ${fmt1(b.correcao.iob_u)}) = ${fmt1(b.correcao.dose)}U ⇒ <b>${b.correcao.dose_u}U</b></li>`
+      : `<li><b>Correção (glicemia):</b> máx(0, (${b.correcao.glicemia_ajustada} – ${target}) ÷ ${isf}) = ${fmt1(b.correcao.dose)}U ⇒ <b>${b.correcao.dose_u}U</b></li>`,
+    b.iob?.doses?.length
+      ? `<li><b>Insulina ativa (IOB):</b> ${b.iob.doses.map((d) => `${fmt1(d.ativo_u)}U de ${d.unidades}U ${esc(d.insulina)} (há ${d.minutos} min)`).join("; ")} = <b>${fmt1(b.iob.total_u)}U</b></li>`
+      : "",
+    pgLi,
+    `<li><b>Total bolus:</b> ${regularNow ? `${rapid}(${b.rapida_agora_u}U) + Regular(${pgU}U)` : `${rapid}(${b.rapida_agora_u}U) + ${rapid}(${pgU}U em 2–3h)`} = <b>${b.total_u}U</b></li>`,
+    `</ul>`,
+    `<h3>✅ Resumo da dose</h3>`,
+    `<ul>`,
+    `<li><b>${rapid}:</b> ${fmt1(b.cho.dose)}U + ${fmt1(b.correcao.dose)}U ⇒ <b>${b.rapida_agora_u}U</b></li>`,
+    regularNow ? `<li><b>Insulina R:</b> ${pgU}U</li>` : `<li><b>${rapid} (p/g em 2–3h):</b> ${pgU}U</li>`,
+    `<li><b>Total bolus:</b> ${b.rapida_agora_u}U + ${pgU}U = <b>${b.total_u}U</b></li>`,
+    b.kcal_total > 0 ? `<li><b>Calorias da refeição:</b> ≈ ${Math.round(b.kcal_total)} kcal</li>` : "",
+    `</ul>`,
+  ].filter(Boolean).join("\n");
+}
@@ -0,0 +1,57 @@
+// cache.js (ESM) — GlicoCerto
+// Cache em memória (LRU + validade) com deduplicação: pedidos iguais simultâneos
+// esperam a mesma promessa em vez de repetir a chamada. Só resultados bem-sucedidos ficam guardados.
+
+/**
+ * obter(chave, produzir) → { valor, origem }, origem "cache" | "novo" | "compartilhado".
+ * Os valores (objetos JSON) saem clonados: quem recebe pode alterar sem mexer no cache.
+ */
+export function criarCache({ max = 500, ttlMs = 12 * 3600000, agora = () => Date.now() } = {}) {
+  const itens = new Map(); // chave → { valor, expira }; ordem do Map = uso mais antigo primeiro
+  const emAndamento = new Map(); // chave → promessa
+
+  function ler(chave) {
+    const it = itens.get(chave);
+    if (!it) return undefined;
+    itens.delete(chave);
+    if (it.expira <= agora()) return undefined;
+    itens.set(chave, it); // volta para o fim (mais recente)
+    return it.valor;
+  }
+
+  function guardar(chave, valor) {
+    itens.delete(chave);
+    itens.set(chave, { valor, expira: agora() + ttlMs });
+    while (itens.size > max) itens.delete(itens.keys().next().value);
+  }
+
+  async function obter(chave, produzir) {
+    const guardado = ler(chave);
+    if (guardado !== undefined) return { valor: structuredClone(guardado), origem: "cache" };
+
+    const pendente = emAndamento.get(chave);
+    if (pendente) return { valor: structuredClone(await pendente), origem: "compartilhado" };
+
+    const p = (async () => produzir())();
+    emAndamento.set(chave, p);
+    try {
+      const valor = await p;
+      guardar(chave, valor);
+      return { valor: structuredClone(valor), origem: "novo" };
+    } finally {
+      emAndamento.delete(chave);
+    }
+  }
+
+  return {
+    obter,
+    // leitura/gravação diretas (quem não pode esperar a promessa de outro pedido, como o streaming)
+    consultar: (chave) => {
+      const v = ler(chave);
+      return v === undefined ? undefined : structuredClone(v);
+    },
+    guardar,
+    limpar: () => itens.clear(),
+    get tamanho() { return itens.size; },
+  };
+}
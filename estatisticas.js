@@ -0,0 +1,104 @@
+// estatisticas.js (ESM) — GlicoCerto
+// Métricas glicêmicas do período (consenso internacional de TIR): tempo no alvo,
+// abaixo/acima, GMI, CV e episódios de hipoglicemia. Funções puras.
+
+export const MUITO_ABAIXO = 54;     // nível 2 de hipoglicemia
+export const MUITO_ACIMA = 250;     // nível 2 de hiperglicemia
+export const HIPO_DURACAO_MIN = 15; // CGM: episódio só conta com ≥ 15 min abaixo do limite
+export const GAP_MAX_MIN = 15;      // buraco maior que isso encerra o episódio
+
+const r1 = (n) => Math.round(n * 10) / 10;
+const ms = (e) => new Date(e.date).getTime();
+
+// GMI (Bergenstal 2018): HbA1c estimada a partir da média em mg/dL
+export const gmi = (mediaMgdl) => 3.31 + 0.02392 * mediaMgdl;
+
+/**
+ * Episódios de hipoglicemia em leituras ordenadas por data.
+ * Com `duracaoMin` > 0 (CGM), o episódio vai do primeiro ponto abaixo de `hipo` até a primeira
+ * leitura de volta ≥ hipo e só conta se durar pelo menos isso. Com 0 (glicemias avulsas),
+ * cada sequência de leituras abaixo do limite é um episódio.
+ */
+export function eventosHipo(leituras, hipo, { duracaoMin = HIPO_DURACAO_MIN } = {}) {
+  const eventos = [];
+  let atual = null;
+  const fechar = (fimMs) => {
+    const duracao = (fimMs - ms(atual.inicio)) / 60000;
+    if (duracao >= duracaoMin) {
+      eventos.push({
+        inicio: atual.inicio.date,
+        fim: new Date(fimMs).toISOString(),
+        duracao_min: Math.round(duracao),
+        min_mgdl: atual.min,
+        nivel: atual.min < MUITO_ABAIXO ? 2 : 1,
+      });
+    }
+    atual = null;
+  };
+
+  let anterior = null;
+  for (const e of leituras) {
+    if (atual && anterior && duracaoMin > 0 && (ms(e) - ms(anterior)) / 60000 > GAP_MAX_MIN) {
+      fechar(ms(anterior));
+    }
+    if (e.mgdl < hipo) {
+      if (!atual) atual = { inicio: e, min: e.mgdl };
+      else atual.min = Math.min(atual.min, e.mgdl);
+    } else if (atual) {
+      fechar(ms(e));
+    }
+    anterior = e;
+  }
+  if (atual) fechar(ms(anterior));
+  return eventos;
+}
+
+/**
+ * Estatísticas de uma série [{ mgdl, date }] (qualquer ordem).
+ * Percentuais por número de leituras; `cgm` define a regra dos episódios de hipo.
+ */
+export function calcularEstatisticas(leituras, { hipo, hiper, cgm = true } = {}) {
+  const serie = (leituras || [])
+    .filter((e) => Number(e?.mgdl) > 0 && Number.isFinite(ms(e)))
+    .map((e) => ({ mgdl: Number(e.mgdl), date: new Date(e.date).toISOString() }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const n = serie.length;
+  if (!n) return { n: 0 };
+
+  const media = serie.reduce((a, e) => a + e.mgdl, 0) / n;
+  const dp = n > 1 ? Math.sqrt(serie.reduce((a, e) => a + (e.mgdl - media) ** 2, 0) / (n - 1)) : 0;
+  const pct = (f) => r1((serie.filter(f).length / n) * 100);
+  const eventos = eventosHipo(serie, hipo, { duracaoMin: cgm ? HIPO_DURACAO_MIN : 0 });
+
+  return {
+    n,
+    primeira: serie[0].date,
+    ultima: serie[n - 1].date,
+    media_mgdl: Math.round(media),
+    dp_mgdl: r1(dp),
+    cv_pct: r1((dp / media) * 100),
+    gmi_pct: r1(gmi(media)),
+    tir_pct: pct((e) => e.mgdl >= hipo && e.mgdl <= hiper),
+    abaixo_pct: pct((e) => e.mgdl < hipo),
+    muito_abaixo_pct: pct((e) => e.mgdl < MUITO_ABAIXO),
+    acima_pct: pct((e) => e.mgdl > hiper),
+    muito_acima_pct: pct((e) => e.mgdl > MUITO_ACIMA),
+    eventos_hipo: eventos.length,
+    eventos_hipo_nivel2: eventos.filter((ev) => ev.nivel === 2).length,
+    eventos,
+  };
+}
+
+export const CGM_INTERVALO_PADRAO_MIN = 5; // série curta demais para medir o intervalo
+
+/**
+ * Cobertura do sensor no período: leituras recebidas / leituras esperadas no intervalo do próprio
+ * CGM (mediana dos intervalos entre leituras, em min inteiros — 1 min, 5 min, 15 min…).
+ */
+export function coberturaSensor(leituras, periodoMin) {
+  const t = (leituras || []).map(ms).filter(Number.isFinite).sort((a, b) => a - b);
+  const gaps = t.slice(1).map((v, i) => (v - t[i]) / 60000).filter((g) => g > 0).sort((a, b) => a - b);
+  const intervalo = gaps.length ? Math.max(1, Math.round(gaps[Math.floor(gaps.length / 2)])) : CGM_INTERVALO_PADRAO_MIN;
+  const esperadas = Math.floor(periodoMin / intervalo) + 1;
+  return { intervalo_min: intervalo, cobertura_pct: Math.round((t.length / esperadas) * 100) };
+}
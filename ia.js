@@ -0,0 +1,184 @@
+// ia.js (ESM) — GlicoCerto
+// Provedores de IA para a análise de refeição, escolhidos pelo env:
+//   IA_PROVEDOR = openai (padrão com OPENAI_API_KEY) | local (servidor compatível com OpenAI: Ollama, llama.cpp) | mock
+//   IA_MODELO   = modelo (padrão: gpt-4o-mini no openai, llama3.2-vision no local)
+//   IA_BASE_URL = URL do servidor local (padrão http://localhost:11434/v1); IA_API_KEY se ele exigir
+//   IA_SAIDA    = json_schema (padrão) | json_object (servidores sem saída estruturada: o schema vai no prompt)
+// Todo provedor expõe { nome, modelo, completar({ system, user, schema, signal, aoParcial }) → { content, refusal } };
+// quem chama valida o JSON (parseAnalise), então o mock passa pela mesma validação.
+// `signal` aborta a chamada; com `aoParcial(textoAcumulado)` a resposta vem em streaming.
+
+import OpenAI from "openai";
+import { melhorAlimento } from "./alimentos.js";
+
+export const PROVEDORES_IA = ["openai", "local", "mock"];
+export const SAIDAS_IA = ["json_schema", "json_object"];
+const MODELO_PADRAO = { openai: "gpt-4o-mini", local: "llama3.2-vision", mock: "mock-taco" };
+export const BASE_URL_LOCAL = "http://localhost:11434/v1";
+
+/**
+ * Lê a configuração do env → { config } (config.provedor null = IA desligada) ou { error }.
+ * Sem IA_PROVEDOR: openai se houver OPENAI_API_KEY, senão desligada.
+ */
+export function configIA(env = process.env) {
+  const provedor = String(env.IA_PROVEDOR || "").trim().toLowerCase() || (env.OPENAI_API_KEY ? "openai" : null);
+  if (!provedor) return { config: { provedor: null } };
+  if (!PROVEDORES_IA.includes(provedor)) return { error: `IA_PROVEDOR deve ser um de: ${PROVEDORES_IA.join(", ")}` };
+  if (provedor === "openai" && !env.OPENAI_API_KEY) return { error: "IA_PROVEDOR=openai exige OPENAI_API_KEY" };
+
+  const saida = String(env.IA_SAIDA || "json_schema").trim().toLowerCase();
+  if (!SAIDAS_IA.includes(saida)) return { error: `IA_SAIDA deve ser ${SAIDAS_IA.join(" ou ")}` };
+
+  return {
+    config: {
+      provedor,
+      modelo: String(env.IA_MODELO || "").trim() || MODELO_PADRAO[provedor],
+      saida,
+      baseURL: provedor === "local" ? String(env.IA_BASE_URL || BASE_URL_LOCAL).replace(/\/+$/, "") : undefined,
+    },
+  };
+}
+
+// Formato de resposta pedido ao modelo; em json_object o schema segue junto do prompt de sistema
+function formatoResposta(saida, system, schema) {
+  if (saida === "json_schema") return { system, response_format: { type: "json_schema", json_schema: schema } };
+  return {
+    system: `${system}\nResponda com um objeto JSON válido neste JSON Schema:\n${JSON.stringify(schema.schema)}`,
+    response_format: { type: "json_object" },
+  };
+}
+
+// OpenAI e servidores compatíveis usam o mesmo cliente; muda só a URL/chave
+function provedorOpenAI({ provedor, modelo, saida, baseURL }, env) {
+  const client = provedor === "local"
+    ? new OpenAI({ baseURL, apiKey: env.IA_API_KEY || "local" })
+    : new OpenAI({ apiKey: env.OPENAI_API_KEY, project: env.OPENAI_PROJECT });
+
+  return {
+    nome: provedor,
+    modelo,
+    async completar({ system, user, schema, signal, aoParcial }) {
+      const f = formatoResposta(saida, system, schema);
+      const body = {
+        model: modelo,
+        temperature: 0.1,
+        response_format: f.response_format,
+        messages: [
+          { role: "system", content: f.system },
+          { role: "user", content: user },
+        ],
+      };
+      if (aoParcial) {
+        const stream = await client.chat.completions.create({ ...body, stream: true }, { signal });
+        let content = "", refusal = "";
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta;
+          if (delta?.refusal) refusal += delta.refusal;
+          if (delta?.content) {
+            content += delta.content;
+            aoParcial(content);
+          }
+        }
+        return { content, refusal: refusal || null };
+      }
+      const completion = await client.chat.completions.create(body, { signal });
+      const msg = completion.choices?.[0]?.message;
+      return { content: msg?.content ?? null, refusal: msg?.refusal || null };
+    },
+  };
+}
+
+const r1 = (n) => Math.round(n * 10) / 10;
+const PORCAO_PADRAO_G = 100;
+// Foto no mock: sempre o mesmo prato (não há visão)
+const PRATO_MOCK = "100 g arroz branco, 80 g feijão carioca";
+
+// "150 g de arroz" → { gramas: 150, nome: "arroz" }; sem peso, porção padrão
+function lerTrecho(trecho) {
+  const m = trecho.match(/^(\d+(?:[.,]\d+)?)\s*(?:g|gr|gramas?)\b\s*(?:de\s+)?(.*)$/i);
+  if (m) return { gramas: Number(m[1].replace(",", ".")), nome: m[2].trim() };
+  return { gramas: PORCAO_PADRAO_G, nome: trecho };
+}
+
+/**
+ * Análise determinística sem rede (testes e clínicas offline): separa o texto em alimentos
+ * ("100 g arroz, feijão e 1 ovo") e usa a tabela local. O que não casa entra zerado com confiança baixa.
+ */
+export function analiseMock(texto) {
+  const trechos = String(texto || "")
+    .split(/,|;|\n|\+|\s+e\s+/i)
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const itens = trechos.map((t) => {
+    const { gramas, nome } = lerTrecho(t);
+    const ref = melhorAlimento(nome);
+    const f = gramas / 100;
+    const v = ref?.por_100g;
+    return {
+      nome: ref?.nome || nome,
+      quantidade: `${gramas} g`,
+      gramas,
+      cho_g: v ? r1(v.cho_g * f) : 0,
+      fibras_g: v ? r1(v.fibras_g * f) : 0,
+      poliois_g: 0,
+      proteina_g: v ? r1(v.proteina_g * f) : 0,
+      gordura_g: v ? r1(v.gordura_g * f) : 0,
+      kcal: v ? Math.round(v.kcal * f) : 0,
+      confianca: ref ? "media" : "baixa",
+    };
+  });
+  const semTabela = itens.filter((it) => it.confianca === "baixa").map((it) => it.nome);
+  return {
+    itens,
+    resumo: itens.map((it) => `${it.gramas} g ${it.nome}`).join(", "),
+    observacoes: ["Análise simulada (IA_PROVEDOR=mock).", semTabela.length ? `Fora da tabela: ${semTabela.join(", ")}.` : ""]
+      .filter(Boolean)
+      .join(" "),
+  };
+}
+
+// Rótulo do mock (modo rótulo): sempre o mesmo biscoito
+export const ROTULO_MOCK = {
+  legivel: true,
+  produto: "Biscoito cream cracker",
+  porcao_g: 30,
+  porcao_texto: "30 g (6 biscoitos)",
+  carboidratos_g: 20,
+  fibras_g: 1,
+  poliois_g: 0,
+  proteinas_g: 3,
+  gorduras_g: 4,
+  kcal: 128,
+  observacoes: "Leitura simulada (IA_PROVEDOR=mock).",
+};
+
+// Conteúdo do usuário (texto ou partes texto+imagem) → texto que o mock analisa
+function textoDoMock(user) {
+  if (typeof user === "string") return user.replace(/^Refeição textual:\s*/i, "").replace(/\nTipo:.*$/s, "");
+  return PRATO_MOCK;
+}
+
+function provedorMock({ modelo }) {
+  return {
+    nome: "mock",
+    modelo,
+    async completar({ user, schema, signal, aoParcial }) {
+      signal?.throwIfAborted();
+      const content = JSON.stringify(schema?.name === "rotulo_nutricional" ? ROTULO_MOCK : analiseMock(textoDoMock(user)));
+      aoParcial?.(content);
+      return { content, refusal: null };
+    },
+  };
+}
+
+// Provedor configurado (ou null com IA desligada). Configuração inválida lança erro com code "IA_CONFIG".
+export function criarProvedorIA(env = process.env) {
+  const { config, error } = configIA(env);
+  if (error) {
+    const e = new Error(error);
+    e.code = "IA_CONFIG";
+    throw e;
+  }
+  if (!config.provedor) return null;
+  return config.provedor === "mock" ? provedorMock(config) : provedorOpenAI(config, env);
+}
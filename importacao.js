@@ -0,0 +1,374 @@
+// importacao.js (ESM) — GlicoCerto
+// Importação de histórico a partir de planilhas (CSV/XLSX): exportação do mySugr, do LibreView
+// ou o próprio XLSX do GlicoCerto. Funções puras: o server.js carrega o que já existe, marca
+// duplicados e só grava quando o usuário confirma a prévia.
+//
+// Cada linha vira refeição (tem CHO) ou registro avulso (glicemia, correção, basal, exercício).
+// Leituras contínuas do sensor (histórico do LibreView) ficam de fora: o lugar delas é o Nightscout.
+// Coluna opcional `origem` (ex.: "importacao:mysugr") em refeicoes e registros: sem ela no banco,
+// o server.js grava as linhas sem o campo.
+
+import XLSX from "xlsx";
+import { FUSO_PADRAO } from "./bolus.js";
+import { validarRegistro } from "./registros.js";
+
+export const FORMATOS = ["mysugr", "libreview", "glicocerto"];
+export const IMPORT_MAX_LINHAS = 50000;
+const MMOL_PARA_MGDL = 18.0182;
+
+// "Medição de Glicemia (mg/dL)" → "medicao de glicemia (mg/dl)"
+const norm = (s) =>
+  String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+function importInvalida(msg) {
+  const e = new Error(msg);
+  e.code = "IMPORT_INVALIDA";
+  return e;
+}
+
+// ---- Leitura do arquivo ----
+
+// Buffer (XLSX ou CSV/TXT) → linhas (arrays) da primeira planilha
+export function lerPlanilha(buf) {
+  let wb;
+  try {
+    // XLSX é um zip ("PK"); CSV é lido como texto sem conversões automáticas de data
+    wb = buf[0] === 0x50 && buf[1] === 0x4b
+      ? XLSX.read(buf, { type: "buffer" })
+      : XLSX.read(buf.toString("utf8").replace(/^\uFEFF/, ""), { type: "string", raw: true });
+  } catch {
+    throw importInvalida("Arquivo não reconhecido como planilha (CSV ou XLSX).");
+  }
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws) throw importInvalida("Planilha vazia.");
+  const linhas = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: "" });
+  if (linhas.length > IMPORT_MAX_LINHAS) throw importInvalida(`Arquivo com mais de ${IMPORT_MAX_LINHAS} linhas; exporte um período menor.`);
+  return linhas;
+}
+
+// ---- Colunas de cada formato (cabeçalhos normalizados; casa por prefixo) ----
+const COLUNAS = {
+  mysugr: {
+    data: ["date", "data"],
+    hora: ["time", "hora"],
+    tags: ["tags", "marcadores"],
+    glicemia: ["blood sugar measurement", "medicao de glicemia", "medicao de glicose"],
+    rapida: ["insulin injection units (pen)", "unidades de injecao de insulina (caneta)"],
+    rapida_bomba: ["insulin injection units (pump)", "unidades de injecao de insulina (bomba)"],
+    basal: ["basal injection units", "unidades de injecao basal"],
+    cho: ["meal carbohydrates", "carboidratos da refeicao"],
+    descricao: ["meal descriptions", "descricoes da refeicao", "descricao da refeicao"],
+    exercicio_min: ["activity duration", "duracao da atividade"],
+    intensidade: ["activity intensity", "intensidade da atividade"],
+    nota: ["note", "nota"],
+  },
+  libreview: {
+    data: ["device timestamp", "carimbo de data/hora do dispositivo", "registro de data e hora do dispositivo"],
+    tipo_registro: ["record type", "tipo de registro"],
+    historico: ["historic glucose", "historico de glicose", "glicose historica"],
+    glicemia: ["scan glucose", "escaneamento de glicose", "glicose escaneada", "glicose de escaneamento"],
+    tira: ["strip glucose", "glicose da tira", "tira de glicose"],
+    rapida: ["rapid-acting insulin (units)", "insulina de acao rapida (unidades)"],
+    cho: ["carbohydrates (grams)", "carboidratos (gramas)"],
+    basal: ["long-acting insulin (units)", "insulina de acao prolongada (unidades)", "insulina de acao longa (unidades)"],
+    nota: ["notes", "notas", "observacoes"],
+  },
+  glicocerto: {
+    data: ["data"],
+    tipo: ["refeicao"],
+    glicemia: ["glicemia"],
+    descricao: ["alimento (descricao)"],
+    cho: ["total cho"],
+    pg: ["total gordura+proteina"],
+    rapida: ["total insulina cho"],
+    regular: ["total insulina proteina + gordura"],
+  },
+};
+// Colunas que identificam o formato
+const ASSINATURA = {
+  mysugr: ["data", "hora", "cho", "glicemia"],
+  libreview: ["data", "tipo_registro"],
+  glicocerto: ["data", "tipo", "cho", "rapida"],
+};
+
+function mapearColunas(cab, formato) {
+  const h = cab.map(norm);
+  const idx = {};
+  for (const [campo, aliases] of Object.entries(COLUNAS[formato])) {
+    const i = h.findIndex((c) => aliases.some((a) => c === a || c.startsWith(a)));
+    if (i >= 0) idx[campo] = { i, mmol: h[i].includes("mmol") };
+  }
+  return idx;
+}
+
+// Procura a linha de cabeçalho (o LibreView tem uma linha de título antes) → { formato, inicio, idx }
+export function detectarFormato(linhas, formato = "auto") {
+  const candidatos = formato === "auto" ? FORMATOS : [formato];
+  for (let l = 0; l < Math.min(5, linhas.length); l++) {
+    for (const f of candidatos) {
+      const idx = mapearColunas(linhas[l], f);
+      if (ASSINATURA[f].every((c) => idx[c])) return { formato: f, inicio: l + 1, idx };
+    }
+  }
+  return null;
+}
+
+// ---- Datas (horário de parede no fuso do paciente → ISO) ----
+const MESES = {
+  jan: 1, feb: 2, fev: 2, mar: 3, apr: 4, abr: 4, may: 5, mai: 5, jun: 6, jul: 7,
+  aug: 8, ago: 8, sep: 9, set: 9, oct: 10, out: 10, nov: 11, dec: 12, dez: 12,
+};
+
+function offsetMin(ms, fuso) {
+  const p = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: fuso, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+    }).formatToParts(new Date(ms)).map((x) => [x.type, x.value])
+  );
+  return (Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute) - Math.floor(ms / 60000) * 60000) / 60000;
+}
+
+export function instanteNoFuso({ ano, mes, dia, hora = 0, min = 0 }, fuso = FUSO_PADRAO) {
+  const parede = Date.UTC(ano, mes - 1, dia, hora, min);
+  let t = parede - offsetMin(parede, fuso) * 60000;
+  t = parede - offsetMin(t, fuso) * 60000; // corrige perto da troca de horário de verão
+  return new Date(t).toISOString();
+}
+
+// Serial do Excel (dias desde 1899-12-30, fração = hora)
+const deSerial = (n) => {
+  const d = new Date(Math.round((n - 25569) * 86400000));
+  return { ano: d.getUTCFullYear(), mes: d.getUTCMonth() + 1, dia: d.getUTCDate(), hora: d.getUTCHours(), min: d.getUTCMinutes() };
+};
+
+function lerHora(v) {
+  if (typeof v === "number") {
+    const m = Math.round((v % 1) * 1440);
+    return { hora: Math.floor(m / 60) % 24, min: m % 60 };
+  }
+  const m = String(v || "").match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?\s*m?\.?/i);
+  if (!m) return null;
+  let hora = Number(m[1]);
+  const ap = m[3]?.toLowerCase();
+  if (ap === "p" && hora < 12) hora += 12;
+  if (ap === "a" && hora === 12) hora = 0;
+  return { hora, min: Number(m[2]) };
+}
+
+// "15/03/2024" e "03/15/2024" são ambíguos: a ordem vem do arquivo inteiro (detectarOrdemData)
+function lerData(v, ordem) {
+  if (typeof v === "number") return deSerial(v);
+  const s = norm(v);
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return { ano: +m[1], mes: +m[2], dia: +m[3] };
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (m) {
+    const ano = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    return ordem === "mdy" ? { ano, mes: +m[1], dia: +m[2] } : { ano, mes: +m[2], dia: +m[1] };
+  }
+  m = s.match(/^([a-z]{3})[a-z]*\.? (\d{1,2}),? (\d{4})/); // "Mar 15, 2024"
+  if (m && MESES[m[1]]) return { ano: +m[3], mes: MESES[m[1]], dia: +m[2] };
+  m = s.match(/^(\d{1,2})(?: de)? ([a-z]{3})[a-z]*\.?(?: de)? (\d{4})/); // "15 de mar. de 2024"
+  if (m && MESES[m[2]]) return { ano: +m[3], mes: MESES[m[2]], dia: +m[1] };
+  return null;
+}
+
+export function detectarOrdemData(valores) {
+  for (const v of valores) {
+    const m = typeof v === "string" && norm(v).match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/);
+    if (!m) continue;
+    if (+m[1] > 12) return "dmy";
+    if (+m[2] > 12) return "mdy";
+  }
+  return "dmy";
+}
+
+export function lerDataHora(data, hora, { ordem = "dmy", fuso = FUSO_PADRAO } = {}) {
+  const d = lerData(data, ordem);
+  if (!d || !(d.mes >= 1 && d.mes <= 12 && d.dia >= 1 && d.dia <= 31)) return null;
+  const h = hora !== undefined ? lerHora(hora) : typeof data === "number" ? { hora: d.hora, min: d.min } : lerHora(data);
+  return instanteNoFuso({ ...d, ...(h || { hora: 0, min: 0 }) }, fuso);
+}
+
+// "6,5" / "6.5" / "4.0 (sug. 3.0)" → 6.5 / 6.5 / 4 (vazio ou "-" → null)
+export function lerNumero(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const m = String(v ?? "").trim().match(/^-?\d+(?:[.,]\d+)?/);
+  return m ? Number(m[0].replace(",", ".")) : null;
+}
+
+// ---- Linhas → entradas normalizadas ----
+const TAGS_TIPO = [
+  [/breakfast|cafe da manha|desjejum/, "cafe"], [/lunch|almoco/, "almoco"], [/dinner|jantar/, "jantar"],
+  [/snack|lanche/, "lanche"], [/bedtime|ceia/, "ceia"],
+];
+const ROTULO_TIPO = {
+  cafe: "cafe", almoco: "almoco", lanche: "lanche", jantar: "jantar", ceia: "ceia", outro: "outro",
+  glicemia: "glicemia", correcao: "correcao", basal: "basal", exercicio: "exercicio",
+};
+const INTENSIDADE_MYSUGR = { 1: "leve", 2: "moderada", 3: "intensa" };
+
+function tipoPelaHora(data_hora, fuso) {
+  const [h, m] = new Intl.DateTimeFormat("en-GB", { timeZone: fuso, hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    .format(new Date(data_hora)).split(":").map(Number);
+  const min = h * 60 + m;
+  if (min >= 300 && min < 630) return "cafe";
+  if (min >= 630 && min < 900) return "almoco";
+  if (min >= 900 && min < 1110) return "lanche";
+  if (min >= 1110 && min < 1320) return "jantar";
+  return "ceia";
+}
+
+function entradaDaLinha(formato, linha, idx, opts) {
+  const col = (c) => (idx[c] ? linha[idx[c].i] : undefined);
+  const num = (c) => {
+    const n = lerNumero(col(c));
+    return n != null && idx[c]?.mmol ? Math.round(n * MMOL_PARA_MGDL) : n;
+  };
+  const data_hora = lerDataHora(col("data"), formato === "mysugr" ? col("hora") : undefined, opts);
+  if (!data_hora) return { motivo: "data/hora não reconhecida" };
+
+  const e = { data_hora, glicemia: null, cho_g: null, rapida_u: null, regular_u: null, pg_g: null, basal_u: null, exercicio_min: null, intensidade: null, descricao: "", tipo: null };
+  if (formato === "mysugr") {
+    Object.assign(e, {
+      glicemia: num("glicemia"),
+      cho_g: num("cho"),
+      rapida_u: (num("rapida") || 0) + (num("rapida_bomba") || 0) || null,
+      basal_u: num("basal"),
+      exercicio_min: num("exercicio_min"),
+      intensidade: INTENSIDADE_MYSUGR[lerNumero(col("intensidade"))] || null,
+      descricao: [col("descricao"), col("nota")].map((s) => String(s ?? "").trim()).filter(Boolean).join(" — "),
+      tipo: TAGS_TIPO.find(([re]) => re.test(norm(col("tags"))))?.[1] || null,
+    });
+  } else if (formato === "libreview") {
+    if (num("historico") != null && num("glicemia") == null && num("tira") == null && num("cho") == null && num("rapida") == null && num("basal") == null) {
+      return { motivo: "leitura contínua do sensor (use o Nightscout)" };
+    }
+    Object.assign(e, {
+      glicemia: num("glicemia") ?? num("tira"),
+      cho_g: num("cho"),
+      rapida_u: num("rapida"),
+      basal_u: num("basal"),
+      descricao: String(col("nota") ?? "").trim(),
+    });
+  } else {
+    const rotulo = ROTULO_TIPO[norm(col("tipo")).replace(/[^a-z]/g, "")] || null;
+    const desc = String(col("descricao") ?? "").trim();
+    Object.assign(e, { glicemia: num("glicemia"), descricao: desc, tipo: rotulo });
+    if (rotulo === "basal") e.basal_u = lerNumero(desc.match(/([\d.,]+)\s*U\b/)?.[1]);
+    else if (rotulo === "exercicio") {
+      e.exercicio_min = lerNumero(desc.match(/(\d+)\s*min/)?.[1]);
+      e.intensidade = desc.match(/\((leve|moderada|intensa)\)/)?.[1] || null;
+    } else if (rotulo === "correcao") e.rapida_u = num("rapida");
+    else if (rotulo !== "glicemia") Object.assign(e, { cho_g: num("cho"), pg_g: num("pg"), rapida_u: num("rapida"), regular_u: num("regular") });
+  }
+  return { entrada: e };
+}
+
+// LibreView grava comida e insulina em linhas separadas: junta o que cai no mesmo minuto
+function juntarMesmoMinuto(entradas) {
+  const porMinuto = new Map();
+  for (const e of entradas) {
+    const k = e.data_hora.slice(0, 16);
+    const a = porMinuto.get(k);
+    if (!a) { porMinuto.set(k, { ...e }); continue; }
+    for (const [c, v] of Object.entries(e)) {
+      if (v == null || v === "") continue;
+      if (["cho_g", "rapida_u", "regular_u", "pg_g", "basal_u", "exercicio_min"].includes(c)) a[c] = (a[c] || 0) + v;
+      else if (c === "descricao") a.descricao = [a.descricao, v].filter(Boolean).join(" — ");
+      else a[c] ??= v;
+    }
+  }
+  return [...porMinuto.values()];
+}
+
+/**
+ * Linhas da planilha → { formato, refeicoes, registros, ignoradas }.
+ * opts: { formato ("auto"), ordem_data ("dmy" | "mdy" | auto), fuso, origem }
+ */
+export function planejarImportacao(linhas, { formato = "auto", ordem_data, fuso = FUSO_PADRAO } = {}) {
+  const det = detectarFormato(linhas, formato);
+  if (!det) throw importInvalida("Formato não reconhecido. Use a exportação CSV do mySugr, do LibreView ou o XLSX do GlicoCerto.");
+  const { idx, inicio } = det;
+  const corpo = linhas.slice(inicio);
+  const ordem = ordem_data || detectarOrdemData(corpo.map((l) => l[idx.data.i]));
+  const opts = { ordem, fuso };
+  const origem = `importacao:${det.formato}`;
+
+  const entradas = [], ignoradas = [];
+  corpo.forEach((linha, i) => {
+    if (!linha.some((c) => String(c).trim())) return;
+    const { entrada, motivo } = entradaDaLinha(det.formato, linha, idx, opts);
+    if (entrada) entradas.push(entrada);
+    else ignoradas.push({ linha: inicio + i + 1, motivo });
+  });
+
+  const refeicoes = [], registros = [];
+  const registro = (body, linhaRef) => {
+    const { registro: r, error } = validarRegistro(body, { agora: Date.now() });
+    if (error) ignoradas.push({ linha: null, data_hora: linhaRef.data_hora, motivo: error });
+    else registros.push({ ...r, origem });
+  };
+  for (const e of juntarMesmoMinuto(entradas)) {
+    const temRefeicao = e.cho_g > 0;
+    if (temRefeicao) {
+      if (e.cho_g > 1000) { ignoradas.push({ linha: null, data_hora: e.data_hora, motivo: "CHO acima de 1000 g" }); continue; }
+      refeicoes.push({
+        data_hora: e.data_hora,
+        tipo: ["cafe", "almoco", "lanche", "jantar", "ceia", "outro"].includes(e.tipo) ? e.tipo : tipoPelaHora(e.data_hora, fuso),
+        descricao: (e.descricao || "Refeição importada").slice(0, 300),
+        glicemia: e.glicemia > 0 ? Math.round(e.glicemia) : null,
+        cho_total_g: Math.round(e.cho_g * 10) / 10,
+        pg_cho_equiv_g: e.pg_g > 0 ? e.pg_g : 0,
+        dose_rapida_total: e.rapida_u > 0 ? e.rapida_u : 0,
+        dose_regular_pg: e.regular_u > 0 ? e.regular_u : 0,
+        origem,
+      });
+    } else if (e.rapida_u > 0) {
+      registro({ tipo: "correcao", data_hora: e.data_hora, unidades: e.rapida_u, glicemia: e.glicemia, observacao: e.descricao }, e);
+    } else if (e.glicemia > 0) {
+      registro({ tipo: "glicemia", data_hora: e.data_hora, glicemia: e.glicemia, observacao: e.descricao }, e);
+    }
+    if (e.basal_u > 0) registro({ tipo: "basal", data_hora: e.data_hora, unidades: e.basal_u }, e);
+    if (e.exercicio_min > 0) registro({ tipo: "exercicio", data_hora: e.data_hora, duracao_min: e.exercicio_min, intensidade: e.intensidade }, e);
+    if (!temRefeicao && !(e.rapida_u > 0) && !(e.glicemia > 0) && !(e.basal_u > 0) && !(e.exercicio_min > 0)) {
+      ignoradas.push({ linha: null, data_hora: e.data_hora, motivo: "linha sem dados importáveis" });
+    }
+  }
+  return { formato: det.formato, ordem_data: ordem, refeicoes, registros, ignoradas };
+}
+
+// Chave de duplicidade: mesmo minuto (e mesmo tipo, para registros)
+const chaveRefeicao = (r) => new Date(r.data_hora).toISOString().slice(0, 16);
+const chaveRegistro = (r) => `${r.tipo}|${new Date(r.data_hora).toISOString().slice(0, 16)}`;
+
+// Separa o que já existe no histórico (ou se repete no arquivo) → { novas: { refeicoes, registros }, duplicadas }
+export function separarDuplicados(plano, existentes = {}) {
+  const vistasRef = new Set((existentes.refeicoes || []).map(chaveRefeicao));
+  const vistasReg = new Set((existentes.registros || []).map(chaveRegistro));
+  const novas = { refeicoes: [], registros: [] }, duplicadas = [];
+  for (const r of plano.refeicoes) {
+    const k = chaveRefeicao(r);
+    if (vistasRef.has(k)) duplicadas.push({ entrada: "refeicao", data_hora: r.data_hora, descricao: r.descricao });
+    else { vistasRef.add(k); novas.refeicoes.push(r); }
+  }
+  for (const r of plano.registros) {
+    const k = chaveRegistro(r);
+    if (vistasReg.has(k)) duplicadas.push({ entrada: "registro", tipo: r.tipo, data_hora: r.data_hora });
+    else { vistasReg.add(k); novas.registros.push(r); }
+  }
+  return { novas, duplicadas };
+}
+
+// Período coberto pelo plano (para buscar só o histórico que pode colidir)
+export function periodoDoPlano(plano) {
+  const ts = [...plano.refeicoes, ...plano.registros].map((r) => new Date(r.data_hora).getTime());
+  if (!ts.length) return null;
+  const min = ts.reduce((a, t) => Math.min(a, t)), max = ts.reduce((a, t) => Math.max(a, t));
+  return { inicio: new Date(min).toISOString(), fim: new Date(max + 60000).toISOString() };
+}
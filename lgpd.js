@@ -0,0 +1,101 @@
+// lgpd.js (ESM) — GlicoCerto
+// Direitos do titular (LGPD, art. 18): exportação completa dos dados (ZIP com JSON + CSV + fotos)
+// e recibo da exclusão. Funções puras; o server.js lê/apaga no Supabase.
+
+import crypto from "crypto";
+import JSZip from "jszip";
+
+// Tabelas com dados do paciente, a coluna que aponta para ele e uma chave única
+// (a exportação pagina ordenando por ela; ordem só pela coluna do dono pode repetir/pular linhas)
+export const TABELAS_DO_USUARIO = [
+  { tabela: "patient_settings", coluna: "user_id", chave: "user_id" }, // uma linha por paciente
+  { tabela: "refeicoes", coluna: "user_id", chave: "id" },
+  { tabela: "refeicoes_auditoria", coluna: "user_id", chave: "id" },
+  { tabela: "registros", coluna: "user_id", chave: "id" },
+  { tabela: "refeicao_modelos", coluna: "user_id", chave: "id" },
+  { tabela: "acessos", coluna: "paciente_id", chave: "id" },
+];
+
+// Pasta das fotos no bucket "refeicoes" (mesma chave do upload)
+export const pastaFotos = (userId) => `refeicoes/${userId}`;
+
+const sha256 = (dado) => crypto.createHash("sha256").update(dado).digest("hex");
+
+// Linhas → CSV (cabeçalho = união das chaves; objetos viram JSON; ";" para abrir direto no Excel pt-BR)
+export function paraCsv(rows) {
+  const linhas = rows || [];
+  const cols = [...new Set(linhas.flatMap((r) => Object.keys(r || {})))];
+  const cel = (v) => {
+    if (v == null) return "";
+    const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+    return /[";\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "\uFEFF" + [cols.join(";"), ...linhas.map((r) => cols.map((c) => cel(r[c])).join(";"))].join("\r\n");
+}
+
+// Tira segredos do cadastro antes de exportar (o titular os cadastrou, mas não saem em arquivo)
+export function semSegredos(cfg) {
+  if (!cfg) return cfg;
+  const { nightscout_api_secret, ...resto } = cfg;
+  return { ...resto, nightscout_api_secret: nightscout_api_secret ? "(definido — não exportado)" : null };
+}
+
+/**
+ * ZIP da exportação: LEIAME.txt, manifesto.json (contagens + sha256 de cada arquivo),
+ * dados/<tabela>.json|csv e fotos/<arquivo>.
+ * dados: { tabela: rows[] }; fotos: [{ nome, conteudo: Buffer }]
+ */
+export async function montarExportacao({ usuario, dados, fotos = [], geradoEm = new Date() }) {
+  const zip = new JSZip();
+  const arquivos = [];
+  const add = (nome, conteudo) => {
+    zip.file(nome, conteudo);
+    arquivos.push({ arquivo: nome, bytes: Buffer.byteLength(conteudo), sha256: sha256(conteudo) });
+  };
+
+  for (const [tabela, rows] of Object.entries(dados)) {
+    add(`dados/${tabela}.json`, JSON.stringify(rows, null, 2));
+    add(`dados/${tabela}.csv`, paraCsv(rows));
+  }
+  for (const f of fotos) add(`fotos/${f.nome}`, f.conteudo);
+
+  const manifesto = {
+    titular: { id: usuario.id, email: usuario.email || null },
+    gerado_em: geradoEm.toISOString(),
+    registros: Object.fromEntries(Object.entries(dados).map(([t, rows]) => [t, rows.length])),
+    fotos: fotos.length,
+    arquivos,
+  };
+  zip.file("manifesto.json", JSON.stringify(manifesto, null, 2));
+  zip.file(
+    "LEIAME.txt",
+    [
+      "GlicoCerto — exportação dos seus dados (LGPD, art. 18)",
+      "",
+      `Gerado em: ${manifesto.gerado_em}`,
+      "dados/: cada tabela em JSON (completo) e CSV (separador ;).",
+      "fotos/: fotos das refeições enviadas ao app.",
+      "manifesto.json: quantidade de registros e hash SHA-256 de cada arquivo.",
+      "O segredo da API do Nightscout não é exportado.",
+    ].join("\r\n")
+  );
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Recibo da exclusão. `hash` (SHA-256 do conteúdo) permite conferir depois que o recibo não foi alterado.
+ * removidos: { tabela: n }; fotos: n; conta_login: "excluida" | "pendente"
+ */
+export function reciboExclusao({ usuario, removidos, fotos, conta_login, falhas = [], em = new Date() }) {
+  const recibo = {
+    recibo_id: crypto.randomUUID(),
+    titular: { id: usuario.id, email: usuario.email || null },
+    solicitado_em: em.toISOString(),
+    removidos,
+    fotos_removidas: fotos,
+    conta_login,
+    falhas,
+    status: falhas.length ? "parcial" : "concluida",
+  };
+  return { ...recibo, hash: sha256(JSON.stringify(recibo)) };
+}
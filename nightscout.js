@@ -0,0 +1,131 @@
+// nightscout.js (ESM) — GlicoCerto
+// Acesso ao Nightscout do paciente (API v1) + normalização das leituras de CGM.
+
+import crypto from "crypto";
+import { doseRapidaDe, doseRegularDe } from "./bolus.js";
+
+export const sha1Hex = (s) => crypto.createHash("sha1").update(String(s), "utf8").digest("hex");
+
+export const nsBase = (nsUrl) => String(nsUrl || "").replace(/\/+$/, "");
+
+// GET com o API_SECRET: tentativa 1 em texto puro (algumas instâncias aceitam), fallback SHA-1
+export async function fetchNightscout(nsUrl, nsSecret, pathAndQuery, init = {}) {
+  const url = `${nsBase(nsUrl)}${pathAndQuery}`;
+  const baseHeaders = init.headers || {};
+
+  let resp = await fetch(url, { ...init, headers: { ...baseHeaders, ...(nsSecret ? { "API-SECRET": nsSecret } : {}) } });
+
+  if (resp.status === 401 || resp.status === 403) {
+    const headers = { ...baseHeaders, ...(nsSecret ? { "api-secret": sha1Hex(nsSecret) } : {}) };
+    resp = await fetch(url, { ...init, headers });
+  }
+  return resp;
+}
+
+export function fetchNightscoutLatest(nsUrl, nsSecret) {
+  return fetchNightscout(nsUrl, nsSecret, "/api/v1/entries.json?count=1");
+}
+
+// Leituras de SGV desde `sinceMs` (até `untilMs`, se dado; até `count` pontos; CGMs de 1 min geram até 60/h).
+// O NS devolve as mais recentes primeiro: sem `untilMs`, leituras posteriores ao período consomem o `count`.
+export function fetchNightscoutEntries(nsUrl, nsSecret, sinceMs, count, untilMs = null) {
+  const q = new URLSearchParams({ "find[date][$gte]": String(Math.floor(sinceMs)), count: String(count) });
+  if (untilMs != null) q.set("find[date][$lte]", String(Math.floor(untilMs)));
+  return fetchNightscout(nsUrl, nsSecret, `/api/v1/entries/sgv.json?${q.toString()}`);
+}
+
+// Entrada crua do NS → { mgdl, direction, date } (ou null se não for uma leitura válida)
+export function normalizeEntry(e) {
+  const mgdl = Math.round(Number(e?.sgv ?? e?.mgdl ?? e?.glucose ?? 0));
+  const t = new Date(e?.dateString || e?.date || e?.sysTime).getTime();
+  if (!(mgdl > 0) || !Number.isFinite(t)) return null;
+  if (e?.type && e.type !== "sgv") return null;
+  return { mgdl, direction: e?.direction ?? e?.trend ?? null, date: new Date(t).toISOString() };
+}
+
+// Série ordenada (asc), sem duplicados, com delta (mg/dL/min) em relação ao ponto anterior
+export function normalizeSeries(arr) {
+  const byTime = new Map();
+  for (const raw of Array.isArray(arr) ? arr : []) {
+    const e = normalizeEntry(raw);
+    if (e) byTime.set(e.date, e);
+  }
+  const out = [...byTime.values()].sort((a, b) => a.date.localeCompare(b.date));
+  for (let i = 0; i < out.length; i++) {
+    const prev = out[i - 1];
+    const dtMin = prev ? (new Date(out[i].date) - new Date(prev.date)) / 60000 : 0;
+    // buracos > 15 min não viram taxa (sensor trocado / sem sinal)
+    out[i].delta_mgdl_min = prev && dtMin > 0 && dtMin <= 15 ? round2((out[i].mgdl - prev.mgdl) / dtMin) : null;
+  }
+  return out;
+}
+
+// Taxa de variação atual (mg/dL/min): regressão linear dos últimos `janelaMin` minutos
+export function rateOfChange(series, janelaMin = 15) {
+  if (!series?.length) return null;
+  const tEnd = new Date(series[series.length - 1].date).getTime();
+  const pts = series
+    .filter((e) => tEnd - new Date(e.date).getTime() <= janelaMin * 60000)
+    .map((e) => [(new Date(e.date).getTime() - tEnd) / 60000, e.mgdl]);
+  if (pts.length < 2) return null;
+
+  const n = pts.length;
+  const mx = pts.reduce((a, p) => a + p[0], 0) / n;
+  const my = pts.reduce((a, p) => a + p[1], 0) / n;
+  const sxx = pts.reduce((a, p) => a + (p[0] - mx) ** 2, 0);
+  if (!(sxx > 0)) return null;
+  const sxy = pts.reduce((a, p) => a + (p[0] - mx) * (p[1] - my), 0);
+  return round2(sxy / sxx);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// ---- Treatments (envio de refeição + bolus) ----
+export const NS_SYNC_MAX_TENTATIVAS = 5;
+
+// POST /api/v1/treatments (o NS faz upsert por created_at + eventType, então reenviar é seguro)
+export async function postNightscoutTreatment(nsUrl, nsSecret, treatment, timeoutMs = 10000) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const resp = await fetchNightscout(nsUrl, nsSecret, "/api/v1/treatments", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(treatment),
+      signal: ctrl.signal,
+    });
+    if (!resp.ok) throw new Error(`Nightscout HTTP ${resp.status}`);
+    const body = await resp.json().catch(() => null);
+    const saved = Array.isArray(body) ? body[0] : body;
+    return { id: saved?._id || null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Linha de refeicoes → treatment "Meal Bolus"
+export function mealBolusTreatment(row, cfg) {
+  const rapid = String(cfg?.insulina_rapida || "Fiasp");
+  const rapidaU = doseRapidaDe(row);
+  const regularU = doseRegularDe(row);
+  const doses = [rapidaU > 0 ? `${rapid} ${rapidaU}U` : "", regularU > 0 ? `Regular ${regularU}U` : ""].filter(Boolean);
+
+  const t = {
+    eventType: "Meal Bolus",
+    created_at: new Date(row.data_hora).toISOString(),
+    carbs: Math.round(Number(row?.cho_total_g || 0)),
+    insulin: rapidaU + regularU,
+    notes: [String(row?.descricao || "").trim(), doses.join(" + ")].filter(Boolean).join(" — ").slice(0, 500),
+    enteredBy: "GlicoCerto",
+    units: "mg/dl",
+  };
+  if (Number(row?.glicemia) > 0) {
+    t.glucose = Number(row.glicemia);
+    t.glucoseType = "Finger";
+  }
+  // reenvio depois de uma edição: mesmo _id substitui o tratamento em vez de duplicar
+  if (row?.ns_treatment_id) t._id = row.ns_treatment_id;
+  return t;
+}
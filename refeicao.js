@@ -0,0 +1,376 @@
+// refeicao.js (ESM) — GlicoCerto
+// Análise de refeição estruturada: JSON Schema pedido à IA, validação no servidor
+// e o template de `detalhes_html` (a IA não escreve mais HTML).
+
+import { pgEquivalente, bolusHtml, esc, TIPOS_REFEICAO } from "./bolus.js";
+
+export const CONFIANCAS = ["alta", "media", "baixa"];
+export const MAX_ITENS = 30;
+
+// Schema para response_format { type: "json_schema", strict: true }
+export const MEAL_SCHEMA = {
+  name: "analise_refeicao",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["itens", "resumo", "observacoes"],
+    properties: {
+      itens: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["nome", "quantidade", "gramas", "cho_g", "fibras_g", "poliois_g", "proteina_g", "gordura_g", "kcal", "confianca"],
+          properties: {
+            nome:       { type: "string", description: "Nome do alimento em português" },
+            quantidade: { type: "string", description: "Medida caseira como informada/estimada (ex.: 2 colheres de sopa)" },
+            gramas:     { type: "number", description: "Peso estimado da porção em gramas" },
+            cho_g:      { type: "number", description: "Carboidratos totais (g) da porção" },
+            fibras_g:   { type: "number", description: "Fibras (g) da porção" },
+            poliois_g:  { type: "number", description: "Polióis (g) da porção" },
+            proteina_g: { type: "number", description: "Proteínas (g) da porção" },
+            gordura_g:  { type: "number", description: "Gorduras totais (g) da porção" },
+            kcal:       { type: "number", description: "Energia (kcal) da porção" },
+            confianca:  { type: "string", enum: CONFIANCAS, description: "Confiança na identificação e na porção" },
+          },
+        },
+      },
+      resumo:      { type: "string", description: "Descrição curta: ex. 100 g arroz, 40 g feijão, 1 bife" },
+      observacoes: { type: "string", description: "Ressalvas da estimativa (vazio se não houver)" },
+    },
+  },
+};
+
+const NUM_CAMPOS = ["gramas", "cho_g", "fibras_g", "poliois_g", "proteina_g", "gordura_g", "kcal"];
+
+/**
+ * Valida a análise (já em objeto) e normaliza números.
+ * Devolve { analise } ou { error } — nunca "corrige" silenciosamente para 0.
+ */
+export function validarAnalise(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) return { error: "análise não é um objeto" };
+  if (!Array.isArray(j.itens)) return { error: "itens ausente" };
+  if (j.itens.length > MAX_ITENS) return { error: `mais de ${MAX_ITENS} itens` };
+
+  const itens = [];
+  for (const [i, it] of j.itens.entries()) {
+    const n = i + 1;
+    if (!it || typeof it !== "object") return { error: `item ${n} inválido` };
+    const nome = String(it.nome || "").trim();
+    if (!nome) return { error: `item ${n}: nome vazio` };
+
+    const out = { nome: nome.slice(0, 120), quantidade: String(it.quantidade || "").trim().slice(0, 80) };
+    for (const k of NUM_CAMPOS) {
+      const v = it[k];
+      if (typeof v !== "number" || !Number.isFinite(v) || v < 0) return { error: `item ${n} (${nome}): ${k} inválido` };
+      out[k] = v;
+    }
+    // macros não podem passar do peso da porção (quando o peso foi estimado)
+    const macros = out.cho_g + out.proteina_g + out.gordura_g;
+    if (out.gramas > 0 && macros > out.gramas * 1.05) return { error: `item ${n} (${nome}): macros maiores que a porção` };
+    if (out.fibras_g + out.poliois_g > out.cho_g + 0.5) return { error: `item ${n} (${nome}): fibras/polióis maiores que o CHO` };
+
+    out.confianca = CONFIANCAS.includes(it.confianca) ? it.confianca : "baixa";
+    if (it.fonte === "manual" || it.fonte === "rotulo") out.fonte = it.fonte; // digitado na edição / lido do rótulo
+    itens.push(out);
+  }
+
+  return {
+    analise: {
+      itens,
+      resumo: String(j.resumo || "").trim().slice(0, 300),
+      observacoes: String(j.observacoes || "").trim().slice(0, 500),
+    },
+  };
+}
+
+// Texto da IA → objeto validado (aceita cercas ```json por garantia)
+export function parseAnalise(raw) {
+  let j;
+  try {
+    j = JSON.parse(String(raw || "").replace(/```json|```/g, "").trim());
+  } catch {
+    return { error: "resposta da IA não é JSON" };
+  }
+  return validarAnalise(j);
+}
+
+/**
+ * Streaming: itens já completos no JSON parcial da IA ('{"itens":[{...},{...' → 1º item).
+ * Conta chaves fora de strings; o item ainda aberto fica para a próxima chamada.
+ */
+export function itensParciais(parcial) {
+  const s = String(parcial || "");
+  const m = /"itens"\s*:\s*\[/.exec(s);
+  if (!m) return [];
+  const itens = [];
+  let nivel = 0, inicio = -1, emString = false, escape = false;
+  for (let i = m.index + m[0].length; i < s.length; i++) {
+    const c = s[i];
+    if (emString) {
+      if (escape) escape = false;
+      else if (c === "\\") escape = true;
+      else if (c === '"') emString = false;
+      continue;
+    }
+    if (c === '"') emString = true;
+    else if (c === "{") { if (nivel++ === 0) inicio = i; }
+    else if (c === "}") {
+      if (--nivel === 0) {
+        try { itens.push(JSON.parse(s.slice(inicio, i + 1))); } catch { return itens; }
+      }
+    } else if (c === "]" && nivel === 0) break;
+  }
+  return itens;
+}
+
+// Soma dos itens
+export function totaisDaAnalise(analise) {
+  const soma = (k) => (analise?.itens || []).reduce((a, it) => a + Number(it[k] || 0), 0);
+  return {
+    carbo_totais_g: soma("cho_g"),
+    fibras_g: soma("fibras_g"),
+    poliois_g: soma("poliois_g"),
+    prot_g: soma("proteina_g"),
+    gord_g: soma("gordura_g"),
+    kcal_total: soma("kcal"),
+  };
+}
+
+// ---- Fotos e sobras ----
+// refeicoes.foto_url: primeira foto; refeicoes.fotos (jsonb): todas, quando veio mais de uma.
+// refeicoes.sobras (jsonb): { em, itens, fotos, servido, consumido, excesso_u, rapida_depois_u } —
+// cho_total_g/pg_cho_equiv_g passam a ser os consumidos; `itens` continua sendo o prato servido.
+export const FOTOS_MAX = 4;
+const DATA_URL_IMAGEM = /^data:image\/[a-z0-9.+-]+;base64,/i;
+
+// Body → { imagens } ou { error }: várias fotos em `imagens` (ângulos, rótulo + prato) e/ou a `image_data_url` de antes
+export function lerImagens(body) {
+  const b = body || {};
+  if (b.imagens != null && !Array.isArray(b.imagens)) return { error: "imagens deve ser uma lista" };
+  const imagens = [b.image_data_url, ...(b.imagens || [])].filter(Boolean);
+  if (imagens.length > FOTOS_MAX) return { error: `no máximo ${FOTOS_MAX} fotos por refeição` };
+  if (imagens.some((u) => typeof u !== "string" || !DATA_URL_IMAGEM.test(u))) return { error: "foto inválida (envie a imagem como data URL)" };
+  return { imagens };
+}
+
+const r1 = (n) => Math.round(n * 10) / 10;
+
+// Consumido = servido − sobras, por macro (o que sobrou nunca passa do que foi servido)
+export function consumoComSobras(servida, sobras) {
+  const servido = totaisDaAnalise(servida);
+  const resto = totaisDaAnalise(sobras);
+  const sobrou = Object.fromEntries(Object.keys(servido).map((k) => [k, r1(Math.min(servido[k], resto[k]))]));
+  const consumido = Object.fromEntries(Object.keys(servido).map((k) => [k, r1(Math.max(0, servido[k] - sobrou[k]))]));
+  return {
+    servido: Object.fromEntries(Object.entries(servido).map(([k, v]) => [k, r1(v)])),
+    sobras: sobrou,
+    consumido,
+    fracao_cho: servido.carbo_totais_g > 0 ? Math.round((consumido.carbo_totais_g / servido.carbo_totais_g) * 100) / 100 : 1,
+  };
+}
+
+// Carboidrato líquido: só para itens do rótulo (valores exatos) — CHO total − fibras − metade dos polióis.
+// Nas estimativas de prato a dose continua pelo CHO total.
+export const FATOR_POLIOIS = 0.5;
+export function choDaDose(it) {
+  const cho = Number(it?.cho_g || 0);
+  if (it?.fonte !== "rotulo") return cho;
+  return Math.max(0, cho - Number(it.fibras_g || 0) - Number(it.poliois_g || 0) * FATOR_POLIOIS);
+}
+
+// Entrada do motor de bolus a partir da análise
+export function macrosDaAnalise(analise) {
+  const t = totaisDaAnalise(analise);
+  const carbo_g = (analise?.itens || []).reduce((a, it) => a + choDaDose(it), 0);
+  return { carbo_g, prot_g: t.prot_g, gord_g: t.gord_g, kcal_total: t.kcal_total };
+}
+
+// ---- Modelos (refeições favoritas) ----
+// Tabela refeicao_modelos: id, user_id, nome, tipo, descricao, itens (jsonb), cho_total_g, prot_g, gord_g,
+// kcal_total, refeicao_id (origem), created_at. Itens e macros ficam congelados; as doses são sempre recalculadas.
+export const MAX_NOME_MODELO = 60;
+
+// Linha de refeicoes → registro do modelo ({ modelo } ou { error })
+export function modeloDeRefeicao(row, nome) {
+  const n = String(nome || "").trim().slice(0, MAX_NOME_MODELO);
+  if (!n) return { error: "nome é obrigatório" };
+  if (!Array.isArray(row?.itens) || !row.itens.length) {
+    return { error: "Esta refeição não tem itens salvos (registrada antes da análise por itens)." };
+  }
+  const { error } = validarAnalise({ itens: row.itens });
+  if (error) return { error: `itens inválidos: ${error}` };
+
+  const t = totaisDaAnalise({ itens: row.itens });
+  return {
+    modelo: {
+      user_id: row.user_id,
+      nome: n,
+      tipo: row.tipo || "outro",
+      descricao: String(row.descricao || "").trim() || n,
+      itens: row.itens,
+      cho_total_g: t.carbo_totais_g,
+      prot_g: t.prot_g,
+      gord_g: t.gord_g,
+      kcal_total: t.kcal_total,
+      refeicao_id: row.id,
+    },
+  };
+}
+
+// Modelo → análise para o motor de doses (sem chamar a IA)
+export function analiseDoModelo(modelo) {
+  return { itens: modelo.itens || [], resumo: modelo.descricao || modelo.nome, observacoes: "" };
+}
+
+// ---- Edição de refeição registrada ----
+// A dose sugerida (dose_rapida_total / dose_regular_pg) nunca é reescrita; a dose que o paciente
+// de fato aplicou vai em dose_rapida_aplicada / dose_regular_aplicada (null = aplicou a sugerida).
+// Tabela refeicoes_auditoria: id, refeicao_id, user_id, campo, valor_anterior, valor_novo (jsonb), alterado_em.
+export const CAMPOS_EDITAVEIS = ["data_hora", "tipo", "descricao", "glicemia", "dose_rapida_aplicada", "dose_regular_aplicada"];
+export const MAX_DESCRICAO = 300;
+export const DOSE_APLICADA_MAX = 100;
+
+// Campos que mudam o tratamento enviado ao Nightscout
+export const CAMPOS_NS = ["data_hora", "descricao", "glicemia", "cho_total_g", "dose_rapida_aplicada", "dose_regular_aplicada"];
+
+// Body do PATCH → { mudancas } ou { error } (campos desconhecidos são recusados)
+export function validarEdicaoRefeicao(body, agora = Date.now()) {
+  const campos = Object.keys(body || {});
+  const invalidos = campos.filter((k) => !CAMPOS_EDITAVEIS.includes(k));
+  if (invalidos.length) return { error: `Campos não editáveis: ${invalidos.join(", ")}` };
+  if (!campos.length) return { error: "Nada para alterar." };
+
+  const m = {};
+  for (const k of campos) {
+    const v = body[k];
+    if (k === "data_hora") {
+      const t = new Date(v).getTime();
+      if (!v || !Number.isFinite(t)) return { error: "data_hora inválida" };
+      if (t > agora + 5 * 60000) return { error: "data_hora no futuro" };
+      m[k] = new Date(t).toISOString();
+    } else if (k === "tipo") {
+      if (!TIPOS_REFEICAO.includes(v)) return { error: `tipo deve ser um de: ${TIPOS_REFEICAO.join(", ")}` };
+      m[k] = v;
+    } else if (k === "descricao") {
+      const d = String(v ?? "").trim();
+      if (!d) return { error: "descricao não pode ficar vazia" };
+      if (d.length > MAX_DESCRICAO) return { error: `descricao com mais de ${MAX_DESCRICAO} caracteres` };
+      m[k] = d;
+    } else if (k === "glicemia") {
+      if (v == null || v === "") { m[k] = null; continue; }
+      const g = Number(v);
+      if (!(g > 0 && g < 1000)) return { error: "glicemia inválida" };
+      m[k] = Math.round(g);
+    } else {
+      if (v == null || v === "") { m[k] = null; continue; }
+      const u = Number(v);
+      if (!Number.isFinite(u) || u < 0 || u > DOSE_APLICADA_MAX) return { error: `${k} deve estar entre 0 e ${DOSE_APLICADA_MAX} U` };
+      m[k] = Math.round(u * 10) / 10;
+    }
+  }
+  return { mudancas: m };
+}
+
+// data_hora/tipo de uma refeição nova com as regras da edição (sem futuro, tipo conhecido)
+// → { data_hora: Date, tipo? } ou { error }; sem data_hora vale `agora`
+export function validarQuandoRefeicao(body, agora = Date.now()) {
+  const campos = {};
+  for (const k of ["data_hora", "tipo"]) if (body?.[k] != null && body[k] !== "") campos[k] = body[k];
+  if (!Object.keys(campos).length) return { data_hora: new Date(agora) };
+  const { mudancas, error } = validarEdicaoRefeicao(campos, agora);
+  if (error) return { error };
+  return { data_hora: new Date(mudancas.data_hora ?? agora), tipo: mudancas.tipo };
+}
+
+// Valor comparável (datas por instante, números por valor)
+const normalizarValor = (campo, v) =>
+  v == null ? null : campo === "data_hora" ? new Date(v).toISOString() : ["tipo", "descricao"].includes(campo) ? v : Number(v);
+
+// Só o que realmente mudou → linhas de auditoria { campo, valor_anterior, valor_novo }
+export function diffAuditoria(row, mudancas) {
+  return Object.entries(mudancas)
+    .filter(([k, v]) => normalizarValor(k, row?.[k]) !== normalizarValor(k, v))
+    .map(([campo, v]) => ({ campo, valor_anterior: row?.[campo] ?? null, valor_novo: v }));
+}
+
+// ---- Template de detalhes_html ----
+const br1 = (n) => Number(n || 0).toFixed(1).replace(".", ",");
+const brN = (n) => String(Math.round(Number(n || 0) * 10) / 10).replace(".", ",");
+const CONF_ICONE = { alta: "", media: "~", baixa: "~?" };
+
+function tabelaItens(itens) {
+  const linhas = itens.map((it) => [
+    `<tr>`,
+    `<td>${CONF_ICONE[it.confianca]}${esc(it.nome)}</td>`,
+    `<td>${esc(it.quantidade || `${brN(it.gramas)} g`)}</td>`,
+    `<td>${brN(it.cho_g)} g</td>`,
+    `<td>~${Math.round(it.kcal)} kcal</td>`,
+    `<td>${brN(it.proteina_g)} g</td>`,
+    `<td>${brN(it.gordura_g)} g</td>`,
+    `<td${it.alimento_ref ? ` title="${esc(it.alimento_ref.nome)}"` : ""}>${esc(it.fonte || "IA")}</td>`,
+    `</tr>`,
+  ].join(""));
+  return [
+    `<div class="table-wrap">`,
+    `<table class="gc-table">`,
+    `<thead><tr><th>Alimento</th><th>Quantidade</th><th>CHO</th><th>kcal aprox</th><th>Proteína</th><th>Gordura</th><th>Fonte</th></tr></thead>`,
+    `<tbody>${linhas.join("\n")}</tbody>`,
+    `</table>`,
+    `</div>`,
+  ].join("\n");
+}
+
+function totaisHtml(itens, b) {
+  const parts = (k) => itens.map((it) => brN(it[k]));
+  const somaTxt = (k, total) => (itens.length > 1 ? `${parts(k).join(" + ")} = ` : "") + `${brN(total)}g`;
+  const pg = b?.pg || pgEquivalente(0, 0, 100);
+  const pct = pg.pct_prot ?? 100;
+  const rotulo = itens.filter((it) => it.fonte === "rotulo");
+  const descontado = rotulo.reduce((a, it) => a + Number(it.cho_g || 0) - choDaDose(it), 0);
+  const choTotal = itens.reduce((a, it) => a + Number(it.cho_g || 0), 0);
+  return [
+    `<h3>📊 Totais</h3>`,
+    `<ul>`,
+    descontado > 0.05
+      ? [
+          `<li><b>Carboidratos:</b> ${itens.length > 1 ? `${parts("cho_g").join(" + ")} = ` : ""}${brN(choTotal)} g CHO</li>`,
+          `<li><b>Carboidrato líquido (rótulo):</b> – fibras ${brN(rotulo.reduce((a, it) => a + it.fibras_g, 0))} g – ½ polióis ` +
+            `${brN(rotulo.reduce((a, it) => a + it.poliois_g, 0))} g = <b>${brN(b?.cho?.carbo_g)} g CHO</b> (usado na dose)</li>`,
+        ].join("\n")
+      : `<li><b>Carboidratos:</b> ${itens.length > 1 ? `${parts("cho_g").join(" + ")} = ` : ""}<b>${brN(b?.cho?.carbo_g)} g CHO</b></li>`,
+    `<li>`,
+    `<b>Proteínas + Gorduras:</b><br>`,
+    `Proteína: ${somaTxt("proteina_g", pg.prot_g)} ×4 = ${Math.round(pg.kcalP)} kcal × ${pct}% = ${br1(pg.kcalPConsiderada)} kcal<br>`,
+    `Gordura: ${somaTxt("gordura_g", pg.gord_g)} ×9 = ${Math.round(pg.kcalG)} kcal × 10% = ${br1(pg.kcalGConsiderada)} kcal<br>`,
+    `Carboidratos (p+g) = ${br1(pg.kcalPConsiderada)} + ${br1(pg.kcalGConsiderada)} = ${br1(pg.kcalConsiderada)} kcal ÷10 = <b>${br1(pg.pg_cho_equiv_g)} g CHO</b>`,
+    `</li>`,
+    `</ul>`,
+  ].join("\n");
+}
+
+/**
+ * detalhes_html completo: itens + totais + blocos de dose (bolus.js).
+ * Sem análise (IA indisponível/falhou), mostra `aviso` e só as doses.
+ */
+export function renderDetalhesHtml(analise, b, { aviso } = {}) {
+  const itens = analise?.itens || [];
+  const partes = [`<div class="details-clean">`];
+  if (itens.length) {
+    partes.push(`<h3>🍽️ Refeição informada</h3>`, tabelaItens(itens));
+    if (itens.some((it) => it.confianca !== "alta")) {
+      partes.push(`<p class="muted">~ estimativa com confiança média; ~? confiança baixa — confira a porção.</p>`);
+    }
+    if (itens.some((it) => it.fonte && it.fonte !== "IA")) {
+      partes.push(`<p class="muted">Fonte TACO/USDA: valores da tabela local para o peso informado; IA: estimativa do modelo; manual: valores digitados; rotulo: tabela nutricional da embalagem.</p>`);
+    }
+    if (analise.observacoes) partes.push(`<p class="muted">${esc(analise.observacoes)}</p>`);
+    partes.push(totaisHtml(itens, b));
+  } else {
+    partes.push(`<em>${esc(aviso || "Nenhum alimento identificado.")}</em>`);
+  }
+  if (b) partes.push(bolusHtml(b));
+  partes.push(`</div>`);
+  return partes.join("\n");
+}
@@ -0,0 +1,119 @@
+// registros.js (ESM) — GlicoCerto
+// Registros avulsos (fora das refeições): glicemia, bolus só de correção, basal e exercício.
+//
+// Tabela registros: id, user_id, tipo, data_hora, glicemia, unidades, insulina, duracao_min,
+// intensidade, observacao, created_at. Mesmo RLS de refeicoes (dono + leitura compartilhada).
+
+import { TIPOS_REFEICAO } from "./bolus.js";
+
+export const TIPOS_REGISTRO = ["glicemia", "correcao", "basal", "exercicio"];
+export const INTENSIDADES = ["leve", "moderada", "intensa"];
+export const UNIDADES_MAX = 100;
+export const DURACAO_MAX_MIN = 600;
+export const MAX_OBSERVACAO = 300;
+
+const CAMPOS = ["tipo", "data_hora", "glicemia", "unidades", "insulina", "duracao_min", "intensidade", "observacao"];
+// O que cada tipo exige (o resto é opcional ou ignorado)
+const OBRIGATORIOS = { glicemia: ["glicemia"], correcao: ["unidades"], basal: ["unidades"], exercicio: ["duracao_min"] };
+
+const vazio = (v) => v == null || v === "";
+
+/**
+ * Body do POST/PATCH → { registro } ou { error }.
+ * `parcial` (PATCH): só os campos enviados; o tipo não muda (`tipoAtual` vem da linha gravada).
+ */
+export function validarRegistro(body, { parcial = false, tipoAtual = null, agora = Date.now() } = {}) {
+  const b = body || {};
+  const desconhecidos = Object.keys(b).filter((k) => !CAMPOS.includes(k));
+  if (desconhecidos.length) return { error: `Campos desconhecidos: ${desconhecidos.join(", ")}` };
+  if (parcial && "tipo" in b && b.tipo !== tipoAtual) return { error: "tipo do registro não pode ser alterado" };
+
+  const tipo = parcial ? tipoAtual : b.tipo;
+  if (!TIPOS_REGISTRO.includes(tipo)) return { error: `tipo deve ser um de: ${TIPOS_REGISTRO.join(", ")}` };
+
+  const r = parcial ? {} : { tipo };
+  if (!parcial || "data_hora" in b) {
+    const t = vazio(b.data_hora) ? agora : new Date(b.data_hora).getTime();
+    if (!Number.isFinite(t)) return { error: "data_hora inválida" };
+    if (t > agora + 5 * 60000) return { error: "data_hora no futuro" };
+    r.data_hora = new Date(t).toISOString();
+  }
+  if ("glicemia" in b) {
+    if (vazio(b.glicemia)) r.glicemia = null;
+    else {
+      const g = Number(b.glicemia);
+      if (!(g > 0 && g < 1000)) return { error: "glicemia inválida" };
+      r.glicemia = Math.round(g);
+    }
+  }
+  if ("unidades" in b) {
+    if (vazio(b.unidades)) r.unidades = null;
+    else {
+      const u = Number(b.unidades);
+      if (!(u > 0 && u <= UNIDADES_MAX)) return { error: `unidades deve estar entre 0 e ${UNIDADES_MAX} U` };
+      r.unidades = Math.round(u * 10) / 10;
+    }
+  }
+  if ("duracao_min" in b) {
+    if (vazio(b.duracao_min)) r.duracao_min = null;
+    else {
+      const d = Number(b.duracao_min);
+      if (!(d > 0 && d <= DURACAO_MAX_MIN)) return { error: `duracao_min deve estar entre 1 e ${DURACAO_MAX_MIN}` };
+      r.duracao_min = Math.round(d);
+    }
+  }
+  if ("intensidade" in b) {
+    if (vazio(b.intensidade)) r.intensidade = null;
+    else if (!INTENSIDADES.includes(b.intensidade)) return { error: `intensidade deve ser ${INTENSIDADES.join(", ")}` };
+    else r.intensidade = b.intensidade;
+  }
+  if ("insulina" in b) r.insulina = String(b.insulina ?? "").trim().slice(0, 40) || null;
+  if ("observacao" in b) {
+    const o = String(b.observacao ?? "").trim();
+    if (o.length > MAX_OBSERVACAO) return { error: `observacao com mais de ${MAX_OBSERVACAO} caracteres` };
+    r.observacao = o || null;
+  }
+
+  // no POST o obrigatório precisa vir; no PATCH não pode ser apagado
+  for (const k of OBRIGATORIOS[tipo]) {
+    if (parcial ? k in r && r[k] == null : r[k] == null) return { error: `${k} é obrigatório para ${tipo}` };
+  }
+  return { registro: r };
+}
+
+// Insulina padrão do cadastro quando o registro não informa
+export function insulinaPadrao(tipo, cfg) {
+  if (tipo === "correcao") return String(cfg?.insulina_rapida || "Fiasp");
+  if (tipo === "basal") return cfg?.insulina_basal ? String(cfg.insulina_basal) : null;
+  return null;
+}
+
+// Correções entram no IOB como rápida; a basal não (é contínua e não é descontada do bolus)
+export function dosesFromRegistros(rows) {
+  return (rows || [])
+    .filter((r) => r?.tipo === "correcao" && Number(r.unidades) > 0)
+    .map((r) => ({ data_hora: r.data_hora, unidades: Number(r.unidades), tipo: "rapida" }));
+}
+
+// Glicemias (avulsas e das correções) → leituras { mgdl, date }
+export function leiturasDeRegistros(rows) {
+  return (rows || [])
+    .filter((r) => Number(r?.glicemia) > 0)
+    .map((r) => ({ mgdl: Number(r.glicemia), date: r.data_hora }));
+}
+
+// Filtro `tipo` do histórico: tipo de refeição, tipo de registro ou "todos"
+export function filtroLinhaDoTempo(tipo) {
+  if (!tipo || tipo === "todos") return { refeicoes: true, registros: true };
+  if (TIPOS_REFEICAO.includes(tipo)) return { refeicoes: true, registros: false, tipoRefeicao: tipo };
+  if (TIPOS_REGISTRO.includes(tipo)) return { refeicoes: false, registros: true, tipoRegistro: tipo };
+  return null;
+}
+
+// Refeições + registros numa linha do tempo só (mais recentes primeiro); `entrada` diz a origem
+export function linhaDoTempo(refeicoes, registros) {
+  return [
+    ...(refeicoes || []).map((r) => ({ ...r, entrada: "refeicao" })),
+    ...(registros || []).map((r) => ({ ...r, entrada: "registro" })),
+  ].sort((a, b) => new Date(b.data_hora) - new Date(a.data_hora));
+}
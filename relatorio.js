@@ -0,0 +1,338 @@
+// relatorio.js (ESM) — GlicoCerto
+// Relatório em PDF para a consulta, gerado no servidor (jsPDF + AutoTable, os mesmos do front):
+// cadastro, tempo no alvo, gráfico de glicemia, resumo diário, totais de insulina e refeições.
+// Recebe os dados já carregados; não fala com Supabase nem com o Nightscout.
+
+import { jsPDF } from "jspdf";
+import { applyPlugin } from "jspdf-autotable";
+import { doseRapidaDe, doseRegularDe, FUSO_PADRAO } from "./bolus.js";
+import { MUITO_ABAIXO, MUITO_ACIMA } from "./estatisticas.js";
+
+applyPlugin(jsPDF);
+
+const AZUL = [25, 118, 210];
+const TITULO = "GlicoCerto - Relatório para consulta";
+const MARGEM = 10.5;
+const PONTOS_GRAFICO_MAX = 1500;
+
+const br = (n, casas = 1) => (n == null || !Number.isFinite(Number(n)) ? "-" : Number(n).toFixed(casas).replace(".", ","));
+const diaDe = (data, fuso) => new Intl.DateTimeFormat("en-CA", { timeZone: fuso }).format(new Date(data));
+const fmtDia = (dia) => dia.split("-").reverse().join("/");
+const fmtDataHora = (data, fuso) =>
+  new Intl.DateTimeFormat("pt-BR", { timeZone: fuso, dateStyle: "short", timeStyle: "short" }).format(new Date(data));
+
+const ESTRATEGIA = { regular_now: "Regular agora (P+G)", split_rapid: "Rápida dividida (P+G depois)" };
+const TIPO_ROTULO = { cafe: "Café", almoco: "Almoço", lanche: "Lanche", jantar: "Jantar", ceia: "Ceia", outro: "Outro" };
+const REGISTRO_ROTULO = { glicemia: "Glicemia", correcao: "Correção", basal: "Basal", exercicio: "Exercício" };
+
+/**
+ * Totais por dia (fuso do paciente) a partir das refeições e dos registros avulsos.
+ * Insulina pela dose aplicada quando registrada; correção avulsa soma na rápida.
+ */
+export function resumoDiario(refeicoes, registros, fuso = FUSO_PADRAO) {
+  const dias = new Map();
+  const dia = (data) => {
+    const k = diaDe(data, fuso);
+    if (!dias.has(k)) dias.set(k, { dia: k, refeicoes: 0, cho_g: 0, rapida_u: 0, correcao_u: 0, regular_u: 0, basal_u: 0, exercicio_min: 0, glicemias: [] });
+    return dias.get(k);
+  };
+  for (const r of refeicoes || []) {
+    const d = dia(r.data_hora);
+    d.refeicoes++;
+    d.cho_g += Number(r.cho_total_g || 0);
+    d.rapida_u += doseRapidaDe(r);
+    d.regular_u += doseRegularDe(r);
+    if (Number(r.glicemia) > 0) d.glicemias.push(Number(r.glicemia));
+  }
+  for (const r of registros || []) {
+    const d = dia(r.data_hora);
+    if (r.tipo === "correcao") d.correcao_u += Number(r.unidades || 0);
+    if (r.tipo === "basal") d.basal_u += Number(r.unidades || 0);
+    if (r.tipo === "exercicio") d.exercicio_min += Number(r.duracao_min || 0);
+    if (Number(r.glicemia) > 0) d.glicemias.push(Number(r.glicemia));
+  }
+  return [...dias.values()]
+    .sort((a, b) => a.dia.localeCompare(b.dia))
+    .map(({ glicemias, ...d }) => ({
+      ...d,
+      total_u: d.rapida_u + d.correcao_u + d.regular_u + d.basal_u,
+      glicemia_media: glicemias.length ? Math.round(glicemias.reduce((a, v) => a + v, 0) / glicemias.length) : null,
+    }));
+}
+
+// Soma do período + média por dia com registro
+export function totaisDoses(dias) {
+  const soma = (k) => dias.reduce((a, d) => a + d[k], 0);
+  const t = {
+    dias: dias.length,
+    cho_g: soma("cho_g"),
+    rapida_u: soma("rapida_u"),
+    correcao_u: soma("correcao_u"),
+    regular_u: soma("regular_u"),
+    basal_u: soma("basal_u"),
+    total_u: soma("total_u"),
+  };
+  t.media_diaria_u = t.dias ? t.total_u / t.dias : 0;
+  t.media_cho_g = t.dias ? t.cho_g / t.dias : 0;
+  return t;
+}
+
+// Série longa (90 dias de CGM) → no máximo `max` pontos (média por balde)
+function reduzirSerie(leituras, max = PONTOS_GRAFICO_MAX) {
+  const v = (leituras || [])
+    .map((e) => ({ t: new Date(e.date).getTime(), mgdl: Number(e.mgdl) }))
+    .filter((e) => Number.isFinite(e.t) && e.mgdl > 0)
+    .sort((a, b) => a.t - b.t);
+  if (v.length <= max) return v;
+  const passo = Math.ceil(v.length / max);
+  const out = [];
+  for (let i = 0; i < v.length; i += passo) {
+    const b = v.slice(i, i + passo);
+    out.push({ t: b[Math.floor(b.length / 2)].t, mgdl: b.reduce((a, e) => a + e.mgdl, 0) / b.length });
+  }
+  return out;
+}
+
+function cabecalhoRodape(doc, { nome, periodoTxt }) {
+  const w = doc.internal.pageSize.getWidth();
+  const h = doc.internal.pageSize.getHeight();
+  const total = doc.internal.getNumberOfPages();
+  for (let p = 1; p <= total; p++) {
+    doc.setPage(p);
+    doc.setFillColor(...AZUL);
+    doc.rect(0, 0, w, 12, "F");
+    doc.rect(0, h - 10, w, 10, "F");
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(11);
+    doc.text(`${TITULO} - ${nome || "Paciente"}`, MARGEM, 8.2);
+    doc.setFontSize(8);
+    doc.text(periodoTxt, w / 2, h - 4, { align: "center" });
+    doc.text(`Página ${p} de ${total}`, w - MARGEM, h - 4, { align: "right" });
+  }
+  doc.setTextColor(20, 20, 20);
+}
+
+function secao(doc, titulo, y) {
+  const h = doc.internal.pageSize.getHeight();
+  if (y > h - 40) { doc.addPage(); y = 20; }
+  doc.setFontSize(12);
+  doc.setTextColor(...AZUL);
+  doc.text(titulo, MARGEM, y);
+  doc.setTextColor(20, 20, 20);
+  return y + 3;
+}
+
+const fimTabela = (doc) => doc.lastAutoTable.finalY + 8;
+
+const estiloTabela = {
+  margin: { left: MARGEM, right: MARGEM, top: 18, bottom: 16 },
+  styles: { fontSize: 8, cellPadding: 1.3, overflow: "linebreak" },
+  headStyles: { fillColor: [240, 240, 240], textColor: 20 },
+  alternateRowStyles: { fillColor: [230, 240, 255] },
+};
+
+function tabelaCadastro(doc, cfg, y) {
+  const linhas = [
+    ["Insulina rápida", cfg.insulina_rapida || "-", "Insulina basal", cfg.insulina_basal || "-"],
+    ["ICR (g/U)", br(cfg.icr), "ISF (mg/dL/U)", br(cfg.isf, 0)],
+    ["Alvo (mg/dL)", br(cfg.target, 0), "Dose diária (U)", br(cfg.dose_diaria)],
+    ["Faixa (mg/dL)", `${br(cfg.hipo, 0)} a ${br(cfg.hiper, 0)}`, "Proteína+gordura", ESTRATEGIA[cfg.pg_strategy] || cfg.pg_strategy || "-"],
+  ];
+  for (const p of Array.isArray(cfg.perfis) ? cfg.perfis : []) {
+    linhas.push([
+      `Perfil ${p.nome || ""}`.trim(),
+      `${p.inicio}-${p.fim}${p.tipos?.length ? ` (${p.tipos.map((t) => TIPO_ROTULO[t] || t).join(", ")})` : ""}`,
+      "ICR / ISF / alvo",
+      `${br(p.icr ?? cfg.icr)} / ${br(p.isf ?? cfg.isf, 0)} / ${br(p.target ?? cfg.target, 0)}`,
+    ]);
+  }
+  doc.autoTable({ ...estiloTabela, startY: y, body: linhas, theme: "grid", columnStyles: { 0: { fontStyle: "bold" }, 2: { fontStyle: "bold" } } });
+  return fimTabela(doc);
+}
+
+// Barra empilhada do tempo em cada faixa (padrão dos relatórios de CGM)
+function barraTir(doc, est, y) {
+  const w = doc.internal.pageSize.getWidth() - 2 * MARGEM;
+  const faixas = [
+    [est.muito_abaixo_pct, [183, 28, 28], `< ${MUITO_ABAIXO}`],
+    [est.abaixo_pct - est.muito_abaixo_pct, [229, 57, 53], "Abaixo"],
+    [est.tir_pct, [67, 160, 71], "No alvo"],
+    [est.acima_pct - est.muito_acima_pct, [251, 192, 45], "Acima"],
+    [est.muito_acima_pct, [245, 124, 0], `> ${MUITO_ACIMA}`],
+  ];
+  let x = MARGEM;
+  for (const [pct, cor] of faixas) {
+    const larg = (Math.max(0, pct) / 100) * w;
+    if (larg > 0) { doc.setFillColor(...cor); doc.rect(x, y, larg, 6, "F"); }
+    x += larg;
+  }
+  doc.setFontSize(7);
+  x = MARGEM;
+  for (const [pct, cor, rot] of faixas) {
+    doc.setFillColor(...cor);
+    doc.rect(x, y + 8, 3, 3, "F");
+    doc.text(`${rot}: ${br(Math.max(0, pct))}%`, x + 4, y + 10.5);
+    x += w / faixas.length;
+  }
+  return y + 16;
+}
+
+function graficoGlicemia(doc, leituras, { inicio, fim, hipo, hiper, cgm }, y) {
+  const w = doc.internal.pageSize.getWidth() - 2 * MARGEM - 10;
+  const h = 60;
+  const x0 = MARGEM + 10;
+  const t0 = new Date(inicio).getTime();
+  const t1 = new Date(fim).getTime();
+  const yMin = 40, yMax = 400;
+  const px = (t) => x0 + ((t - t0) / (t1 - t0)) * w;
+  const py = (mg) => y + h - ((Math.max(yMin, Math.min(yMax, mg)) - yMin) / (yMax - yMin)) * h;
+
+  // faixa alvo + eixos
+  doc.setFillColor(232, 245, 233);
+  doc.rect(x0, py(hiper), w, py(hipo) - py(hiper), "F");
+  doc.setDrawColor(180, 180, 180);
+  doc.setLineWidth(0.2);
+  doc.rect(x0, y, w, h);
+  doc.setFontSize(7);
+  for (const mg of [54, hipo, hiper, 250, 400]) {
+    doc.line(x0 - 1, py(mg), x0, py(mg));
+    doc.text(String(mg), x0 - 1.5, py(mg) + 1, { align: "right" });
+  }
+  const dias = Math.max(1, Math.round((t1 - t0) / 86400000));
+  const passoDias = Math.ceil(dias / 10);
+  for (let t = t0; t <= t1; t += passoDias * 86400000) {
+    doc.text(new Date(t).toISOString().slice(5, 10).split("-").reverse().join("/"), px(t), y + h + 4, { align: "center" });
+  }
+
+  const pts = reduzirSerie(leituras);
+  doc.setDrawColor(21, 101, 192);
+  doc.setFillColor(21, 101, 192);
+  if (cgm) {
+    doc.setLineWidth(0.25);
+    // não liga pontos separados por buraco no sensor
+    for (let i = 1; i < pts.length; i++) {
+      if (pts[i].t - pts[i - 1].t > 60 * 60000) continue;
+      doc.line(px(pts[i - 1].t), py(pts[i - 1].mgdl), px(pts[i].t), py(pts[i].mgdl));
+    }
+  } else {
+    for (const p of pts) doc.circle(px(p.t), py(p.mgdl), 0.6, "F");
+  }
+  if (!pts.length) doc.text("Sem leituras no período.", x0 + w / 2, y + h / 2, { align: "center" });
+  return y + h + 10;
+}
+
+/**
+ * PDF (Buffer) do período.
+ * dados: { cfg, nome, periodo: { inicio, fim }, estatisticas (calcularEstatisticas + fonte/aviso/cobertura_pct),
+ *          leituras [{ mgdl, date }], refeicoes, registros }
+ */
+export function gerarRelatorioPdf({ cfg = {}, nome, periodo, estatisticas: est = {}, leituras = [], refeicoes = [], registros = [] }) {
+  const fuso = cfg.fuso_horario || FUSO_PADRAO;
+  const doc = new jsPDF({ unit: "mm", format: "a4", orientation: "portrait" });
+  const periodoTxt = `Período: ${fmtDia(diaDe(periodo.inicio, fuso))} a ${fmtDia(diaDe(periodo.fim, fuso))}`;
+  let y = 20;
+
+  doc.setFontSize(9);
+  doc.text(`${periodoTxt} - gerado em ${fmtDataHora(new Date(), fuso)}`, MARGEM, y);
+  y += 6;
+
+  y = secao(doc, "Configurações do tratamento", y);
+  y = tabelaCadastro(doc, cfg, y);
+
+  y = secao(doc, "Tempo no alvo", y);
+  if (est.n) {
+    const fonte = est.fonte === "nightscout"
+      ? `CGM (Nightscout): ${est.n} leituras${est.cobertura_pct != null ? `, cobertura ${est.cobertura_pct}%` : ""}`
+      : `Glicemias registradas: ${est.n} medidas`;
+    doc.autoTable({
+      ...estiloTabela,
+      startY: y,
+      head: [["No alvo", "Abaixo", "< 54", "Acima", "> 250", "Média", "GMI", "CV", "Hipos (nível 2)"]],
+      body: [[
+        `${br(est.tir_pct)}%`, `${br(est.abaixo_pct)}%`, `${br(est.muito_abaixo_pct)}%`, `${br(est.acima_pct)}%`, `${br(est.muito_acima_pct)}%`,
+        `${est.media_mgdl} mg/dL`, `${br(est.gmi_pct)}%`, `${br(est.cv_pct)}%`, `${est.eventos_hipo} (${est.eventos_hipo_nivel2})`,
+      ]],
+    });
+    y = fimTabela(doc) - 4;
+    y = barraTir(doc, est, y);
+    doc.setFontSize(8);
+    doc.text(doc.splitTextToSize(`${fonte}.${est.aviso ? ` ${est.aviso}` : ""}`, doc.internal.pageSize.getWidth() - 2 * MARGEM), MARGEM, y);
+    y += 8;
+  } else {
+    doc.setFontSize(9);
+    doc.text("Sem glicemias no período.", MARGEM, y + 4);
+    y += 10;
+  }
+
+  y = secao(doc, "Glicemia no período (mg/dL)", y);
+  y = graficoGlicemia(doc, leituras, { ...periodo, hipo: est.limites?.hipo ?? cfg.hipo ?? 70, hiper: est.limites?.hiper ?? cfg.hiper ?? 180, cgm: est.fonte === "nightscout" }, y + 2);
+
+  const dias = resumoDiario(refeicoes, registros, fuso);
+  const t = totaisDoses(dias);
+  y = secao(doc, "Totais de insulina", y);
+  doc.autoTable({
+    ...estiloTabela,
+    startY: y,
+    head: [["Rápida (refeições)", "Correções avulsas", "Regular (P+G)", "Basal", "Total", "Média/dia", "CHO médio/dia"]],
+    body: [[`${br(t.rapida_u)} U`, `${br(t.correcao_u)} U`, `${br(t.regular_u)} U`, `${br(t.basal_u)} U`, `${br(t.total_u)} U`, `${br(t.media_diaria_u)} U`, `${br(t.media_cho_g, 0)} g`]],
+  });
+  y = fimTabela(doc);
+
+  y = secao(doc, "Resumo diário", y);
+  doc.autoTable({
+    ...estiloTabela,
+    startY: y,
+    head: [["Dia", "Refeições", "CHO (g)", "Rápida (U)", "Correção (U)", "Regular (U)", "Basal (U)", "Total (U)", "Glicemia média", "Exercício (min)"]],
+    body: dias.length
+      ? dias.map((d) => [fmtDia(d.dia), d.refeicoes, br(d.cho_g, 0), br(d.rapida_u), br(d.correcao_u), br(d.regular_u), br(d.basal_u), br(d.total_u), d.glicemia_media ?? "-", d.exercicio_min || "-"])
+      : [[{ content: "Sem registros no período.", colSpan: 10 }]],
+  });
+  y = fimTabela(doc);
+
+  y = secao(doc, "Refeições", y);
+  const dose = (aplicada, sugerida) =>
+    aplicada != null && Number(aplicada) !== Number(sugerida || 0) ? `${br(aplicada)} (sug. ${br(sugerida)})` : br(sugerida || 0);
+  doc.autoTable({
+    ...estiloTabela,
+    startY: y,
+    head: [["Data/hora", "Refeição", "Glicemia", "Descrição", "CHO (g)", "P+G (g eq)", "Rápida (U)", "Regular (U)"]],
+    body: refeicoes.length
+      ? [...refeicoes]
+          .sort((a, b) => new Date(a.data_hora) - new Date(b.data_hora))
+          .map((r) => [
+            fmtDataHora(r.data_hora, fuso),
+            TIPO_ROTULO[r.tipo] || r.tipo || "-",
+            r.glicemia ?? "-",
+            String(r.descricao || "").replace(/^\[foto\]\s*/i, "").replace(/\s+/g, " ").slice(0, 120),
+            br(r.cho_total_g),
+            br(r.pg_cho_equiv_g),
+            dose(r.dose_rapida_aplicada, r.dose_rapida_total),
+            dose(r.dose_regular_aplicada, r.dose_regular_pg),
+          ])
+      : [[{ content: "Sem refeições no período.", colSpan: 8 }]],
+    columnStyles: { 3: { cellWidth: 60 } },
+  });
+  y = fimTabela(doc);
+
+  if (registros.length) {
+    y = secao(doc, "Registros avulsos", y);
+    doc.autoTable({
+      ...estiloTabela,
+      startY: y,
+      head: [["Data/hora", "Tipo", "Glicemia", "Insulina", "Exercício", "Observação"]],
+      body: [...registros]
+        .sort((a, b) => new Date(a.data_hora) - new Date(b.data_hora))
+        .map((r) => [
+          fmtDataHora(r.data_hora, fuso),
+          REGISTRO_ROTULO[r.tipo] || r.tipo,
+          r.glicemia ?? "-",
+          r.unidades ? `${br(r.unidades)} U${r.insulina ? ` ${r.insulina}` : ""}` : "-",
+          r.duracao_min ? `${r.duracao_min} min${r.intensidade ? ` (${r.intensidade})` : ""}` : "-",
+          r.observacao || "",
+        ]),
+    });
+  }
+
+  cabecalhoRodape(doc, { nome, periodoTxt: `${periodoTxt} - Este relatório não substitui avaliação médica.` });
+  return Buffer.from(doc.output("arraybuffer"));
+}
@@ -0,0 +1,123 @@
+// rotulo.js (ESM) — GlicoCerto
+// Modo rótulo: leitura da tabela nutricional (padrão ANVISA, RDC 429/2020) de alimentos embalados.
+// A IA só copia os valores POR PORÇÃO; o usuário informa quanto comeu e o servidor monta o item
+// (fonte "rotulo"), que entra na dose por carboidrato líquido (refeicao.js: choDaDose).
+
+export const MODOS_ANALISE = ["prato", "rotulo"];
+export const PORCOES_MAX = 20;
+export const QUANTIDADE_MAX_G = 2000;
+
+export const ROTULO_SCHEMA = {
+  name: "rotulo_nutricional",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["legivel", "produto", "porcao_g", "porcao_texto", "carboidratos_g", "fibras_g", "poliois_g", "proteinas_g", "gorduras_g", "kcal", "observacoes"],
+    properties: {
+      legivel:        { type: "boolean", description: "false se a tabela nutricional não estiver legível na foto" },
+      produto:        { type: "string", description: "Nome do produto como na embalagem" },
+      porcao_g:       { type: "number", description: "Tamanho da porção em g (ou mL)" },
+      porcao_texto:   { type: "string", description: "Porção como impressa (ex.: 30 g (6 biscoitos))" },
+      carboidratos_g: { type: "number", description: "Linha Carboidratos, por porção (sem as fibras)" },
+      fibras_g:       { type: "number", description: "Fibras alimentares por porção" },
+      poliois_g:      { type: "number", description: "Polióis por porção (0 se não declarado)" },
+      proteinas_g:    { type: "number", description: "Proteínas por porção" },
+      gorduras_g:     { type: "number", description: "Gorduras totais por porção" },
+      kcal:           { type: "number", description: "Valor energético (kcal) por porção" },
+      observacoes:    { type: "string", description: "Ressalvas da leitura (vazio se não houver)" },
+    },
+  },
+};
+
+export function systemPromptRotulo() {
+  return `
+  Você lê a tabela de informação nutricional de alimentos embalados no padrão brasileiro (ANVISA).
+  Responda SOMENTE com o JSON do schema "rotulo_nutricional" (sem Markdown).
+
+  REGRAS
+  - Copie os números impressos; não estime. Use a coluna POR PORÇÃO (se só houver a de 100 g, porcao_g = 100).
+  - carboidratos_g = linha "Carboidratos" como impressa (no rótulo brasileiro as fibras NÃO estão incluídas).
+  - fibras_g = "Fibras alimentares"; poliois_g = "Polióis" se declarado, senão 0.
+  - Porção em mL: use o mesmo número em porcao_g.
+  - Se a tabela não estiver legível, legivel = false, números 0 e explique em "observacoes".
+  `;
+}
+
+const NUMEROS = ["porcao_g", "carboidratos_g", "fibras_g", "poliois_g", "proteinas_g", "gorduras_g", "kcal"];
+const r1 = (n) => Math.round(n * 10) / 10;
+const brN = (n) => String(r1(n)).replace(".", ",");
+
+// Leitura da IA (objeto) → { rotulo } ou { error } (+ ilegivel: true quando a IA não conseguiu ler a tabela)
+export function validarRotulo(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) return { error: "leitura do rótulo não é um objeto" };
+  if (j.legivel !== true) return { error: `rótulo ilegível${j.observacoes ? `: ${j.observacoes}` : ""}`, ilegivel: true };
+  const out = { produto: String(j.produto || "").trim().slice(0, 120) || "Produto embalado", porcao_texto: String(j.porcao_texto || "").trim().slice(0, 80) };
+  for (const k of NUMEROS) {
+    const v = j[k];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < 0) return { error: `${k} inválido` };
+    out[k] = v;
+  }
+  if (!(out.porcao_g > 0)) return { error: "porção sem peso" };
+  if (out.carboidratos_g + out.fibras_g + out.proteinas_g + out.gorduras_g > out.porcao_g * 1.05) return { error: "macros maiores que a porção" };
+  if (out.poliois_g > out.carboidratos_g + 0.5) return { error: "polióis maiores que os carboidratos" };
+  out.observacoes = String(j.observacoes || "").trim().slice(0, 500);
+  return { rotulo: out };
+}
+
+export function parseRotulo(raw) {
+  let j;
+  try {
+    j = JSON.parse(String(raw || "").replace(/```json|```/g, "").trim());
+  } catch {
+    return { error: "resposta da IA não é JSON" };
+  }
+  return validarRotulo(j);
+}
+
+// Body → { modo } ou { error }; no modo rótulo (exige foto) também { consumo: { quantidade_g } | { porcoes } }
+export function lerModoAnalise(body, { fotos = 0 } = {}) {
+  const modo = body?.modo || "prato";
+  if (!MODOS_ANALISE.includes(modo)) return { error: `modo deve ser ${MODOS_ANALISE.join(" ou ")}` };
+  if (modo === "prato") return { modo };
+  if (!fotos) return { error: "O modo rótulo precisa da foto da tabela nutricional." };
+
+  const vazio = (v) => v == null || v === "";
+  const { quantidade_g, porcoes } = body;
+  if (vazio(quantidade_g) === vazio(porcoes)) return { error: "No modo rótulo informe quanto comeu: quantidade_g OU porcoes." };
+  if (!vazio(quantidade_g)) {
+    const q = Number(quantidade_g);
+    if (!(q > 0 && q <= QUANTIDADE_MAX_G)) return { error: `quantidade_g deve estar entre 0 e ${QUANTIDADE_MAX_G}` };
+    return { modo, consumo: { quantidade_g: q } };
+  }
+  const p = Number(porcoes);
+  if (!(p > 0 && p <= PORCOES_MAX)) return { error: `porcoes deve estar entre 0 e ${PORCOES_MAX}` };
+  return { modo, consumo: { porcoes: p } };
+}
+
+/**
+ * Rótulo + quanto comeu → análise com um item (mesmo formato da análise de prato).
+ * cho_g segue a convenção do app (CHO total, com fibras e polióis): carboidratos do rótulo + fibras.
+ */
+export function analiseDoRotulo(rotulo, consumo) {
+  const f = consumo.quantidade_g ? consumo.quantidade_g / rotulo.porcao_g : consumo.porcoes;
+  const gramas = r1(rotulo.porcao_g * f);
+  const item = {
+    nome: rotulo.produto,
+    quantidade: `${brN(gramas)} g (${brN(f)} ${r1(f) === 1 ? "porção" : "porções"} de ${rotulo.porcao_texto || `${brN(rotulo.porcao_g)} g`})`,
+    gramas,
+    cho_g: r1((rotulo.carboidratos_g + rotulo.fibras_g) * f),
+    fibras_g: r1(rotulo.fibras_g * f),
+    poliois_g: r1(rotulo.poliois_g * f),
+    proteina_g: r1(rotulo.proteinas_g * f),
+    gordura_g: r1(rotulo.gorduras_g * f),
+    kcal: Math.round(rotulo.kcal * f),
+    confianca: "alta",
+    fonte: "rotulo",
+  };
+  return {
+    itens: [item],
+    resumo: `${brN(gramas)} g ${rotulo.produto} (rótulo)`,
+    observacoes: rotulo.observacoes,
+  };
+}
@@ -1,8 +1,16 @@
 // server.js (ESM) — GlicoCerto
 // Rotas: /api/env, /api/paciente/:userId (GET), /api/paciente (POST)
-//        /api/ns/latest/:userId (GET)
-//        /api/chat (POST), /api/chat-image (POST)
-//        /api/refeicoes (GET), /api/refeicoes/serie (GET), /api/refeicoes/:id (DELETE)
+//        /api/ns/latest/:userId (GET), /api/ns/entries/:userId (GET), /api/ns/sync/:userId (POST)
+//        /api/chat (POST), /api/chat-image (POST), /api/chat/stream (POST, SSE), /api/bolus/calcular (POST)
+//        /api/refeicoes (GET), /api/refeicoes/serie (GET), /api/refeicoes/:id (PATCH/DELETE)
+//        /api/refeicoes/:id/auditoria (GET), /api/refeicoes/:id/sobras (POST)
+//        /api/registros (GET/POST), /api/registros/:id (PATCH/DELETE)
+//        /api/refeicoes/analisar (POST), /api/refeicoes/analisar/stream (POST, SSE), /api/refeicoes/confirmar (POST)
+//        /api/alimentos (GET)
+//        /api/modelos (GET/POST), /api/modelos/:id (DELETE), /api/refeicoes/from-template (POST)
+//        /api/estatisticas (GET), /api/ajustes/sugestoes (GET), /api/relatorio.pdf (GET), /api/importar (POST)
+//        /api/conta/exportar (GET), /api/conta (DELETE)
+//        /api/acessos (GET/POST), /api/acessos/:id/aceitar (POST), /api/acessos/:id (DELETE)
 
 import express from "express";
 import cors from "cors";
@@ -10,8 +18,37 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { createClient } from "@supabase/supabase-js";
-import OpenAI from "openai";
-import crypto from "crypto";
+import {
+  calcularBolus, bolusHtml, validarEntradaBolus, bolusParams,
+  calcularIob, dosesFromRefeicoes, IOB_LOOKBACK_H,
+  validarPerfis, resolverPerfil, aplicarGuardrails,
+  validarTrendAjuste, validarLimites, TREND_AJUSTE_PADRAO, HIPO_PADRAO, HIPER_PADRAO, doseRapidaDe, dosesComSobras,
+} from "./bolus.js";
+import {
+  fetchNightscoutLatest, fetchNightscoutEntries, normalizeSeries, rateOfChange,
+  postNightscoutTreatment, mealBolusTreatment, NS_SYNC_MAX_TENTATIVAS, sha1Hex,
+} from "./nightscout.js";
+import {
+  MEAL_SCHEMA, parseAnalise, validarAnalise, macrosDaAnalise, totaisDaAnalise, itensParciais, renderDetalhesHtml,
+  modeloDeRefeicao, analiseDoModelo, validarEdicaoRefeicao, diffAuditoria, CAMPOS_EDITAVEIS, CAMPOS_NS,
+  lerImagens, consumoComSobras, validarQuandoRefeicao,
+} from "./refeicao.js";
+import { buscarAlimentos, conciliarAnalise, completarItens } from "./alimentos.js";
+import { calcularEstatisticas, coberturaSensor } from "./estatisticas.js";
+import { analisarAjustes, POS_FIM_MIN, MIN_REFEICOES_GRUPO } from "./ajustes.js";
+import {
+  validarConvite, permite, normalizarEmail, configParaConvidado, filtrarConfigConvidado,
+} from "./acessos.js";
+import { verificarJwt, usuarioDoPayload, exigirUsuario, proprio } from "./auth.js";
+import {
+  validarRegistro, insulinaPadrao, dosesFromRegistros, leiturasDeRegistros, filtroLinhaDoTempo, linhaDoTempo,
+} from "./registros.js";
+import { gerarRelatorioPdf } from "./relatorio.js";
+import { lerPlanilha, planejarImportacao, separarDuplicados, periodoDoPlano, FORMATOS } from "./importacao.js";
+import { TABELAS_DO_USUARIO, pastaFotos, semSegredos, montarExportacao, reciboExclusao } from "./lgpd.js";
+import { criarProvedorIA } from "./ia.js";
+import { ROTULO_SCHEMA, systemPromptRotulo, parseRotulo, lerModoAnalise, analiseDoRotulo } from "./rotulo.js";
+import { criarCache } from "./cache.js";
 
 dotenv.config();
 
@@ -23,8 +60,8 @@ const __dirname = path.dirname(__filename);
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
   console.warn("⚠️  SUPABASE_URL/SUPABASE_ANON_KEY ausentes no .env");
 }
-if (!process.env.OPENAI_API_KEY) {
-  console.warn("⚠️  OPENAI_API_KEY ausente — a análise por IA usará fallback simples.");
+if (!process.env.SUPABASE_JWT_SECRET) {
+  console.warn("⚠️  SUPABASE_JWT_SECRET ausente — cada request verifica o token no Supabase Auth (mais lento).");
 }
 
 // App
@@ -35,13 +72,15 @@ app.use(express.urlencoded({ extended: true, limit: "25mb" }));
 app.use(express.static(path.join(__dirname, "public"))); // serve ./public
 //     ^ mantém igual ao seu original (está ok). :contentReference[oaicite:2]{index=2}
 
-// SDKs
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      project: process.env.OPENAI_PROJECT, // não deixa hardcoded
-    })
-  : null;
+// Provedor de IA (ia.js: openai | local | mock, pelo env)
+let ia = null;
+try {
+  ia = criarProvedorIA(process.env);
+} catch (e) {
+  console.warn(`⚠️  ${e.message} — análise por IA desligada.`);
+}
+if (ia) console.log(`IA: ${ia.nome} (${ia.modelo})`);
+else console.warn("⚠️  Sem provedor de IA (IA_PROVEDOR/OPENAI_API_KEY) — a análise por IA usará fallback simples.");
 
 // Supabase client com JWT do request (RLS)
 function supabaseFromReq(req) {
@@ -51,231 +90,140 @@ function supabaseFromReq(req) {
     auth: { persistSession: false, autoRefreshToken: false },
   });
 }
+/* ============ Identidade (JWT do Supabase verificado no servidor) ============ */
+// Com SUPABASE_JWT_SECRET o token é verificado localmente (HS256); sem ele, pelo Supabase Auth.
+// Usuário ({ id, email }) ou null sem token/token inválido
+async function usuarioDoReq(req) {
+  const token = req.headers?.authorization?.split(" ")[1] || null;
+  if (!token) return null;
+  if (process.env.SUPABASE_JWT_SECRET) {
+    try {
+      return usuarioDoPayload(verificarJwt(token, process.env.SUPABASE_JWT_SECRET));
+    } catch (e) {
+      if (e?.code !== "JWT_INVALIDO") throw e;
+      return null;
+    }
+  }
+  const { data, error } = await supabaseFromReq(req).auth.getUser(token);
+  if (error || !data?.user) return null;
+  return { id: data.user.id, email: normalizarEmail(data.user.email) };
+}
+
+// Todas as rotas /api (menos /api/env) exigem usuário autenticado → req.user
+app.use("/api", exigirUsuario(usuarioDoReq, { publicas: ["/env"] }));
+
+/**
+ * Quem chama pode acessar os dados de `pacienteId` no `nivel` pedido ("leitura" | "editar_config")?
+ * O próprio paciente sempre; outra conta só com concessão ativa em `acessos`.
+ * Devolve { proprio, acesso } ou { status, error }.
+ */
+async function autorizarPaciente(req, supabase, pacienteId, nivel = "leitura") {
+  const user = req.user;
+  if (user.id === pacienteId) return { proprio: true, acesso: null };
+
+  const { data: acesso, error } = await supabase
+    .from("acessos")
+    .select("id,papel,permissao")
+    .eq("paciente_id", pacienteId)
+    .eq("convidado_id", user.id)
+    .eq("status", "ativo")
+    .maybeSingle();
+  if (error) throw error;
+  if (!acesso) return { status: 403, error: "Sem acesso a este paciente." };
+  if (!permite(acesso.permissao, nivel)) return { status: 403, error: "Seu acesso a este paciente é somente leitura." };
+  return { proprio: false, acesso };
+}
+
 function num(s){ const n = parseFloat(String(s).replace(/\./g,'').replace(',','.')); return Number.isFinite(n)?n:0; }
 
 
 
 // Utils
-const r0 = (n) => Math.round(Number(n || 0));
-const sha1Hex = (s) => crypto.createHash("sha1").update(String(s), "utf8").digest("hex");
-const stripFences = (s) => String(s || "").replace(/```html|```/g, "").trim();
-
-// Timeout helper (promessa com tempo-limite)
-function withTimeout(promise, ms = 45000, label = "Timeout") {
+// Timeout helper (promessa com tempo-limite); `aoEstourar` cancela o trabalho que ficou para trás
+function withTimeout(promise, ms = 45000, label = "Timeout", aoEstourar = null) {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, rej) => setTimeout(() => rej(new Error(label)), ms)),
-  ]);
+    new Promise((_, rej) => {
+      timer = setTimeout(() => {
+        aoEstourar?.();
+        rej(new Error(label));
+      }, ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
 }
-// ---- System prompt para análise de refeição ----
-// ---- System prompt para análise de refeição ----
-// ---- System prompt para análise de refeição ----
-// ---- System prompt para análise de refeição ----
+// ---- System prompt para análise de refeição (saída = JSON do MEAL_SCHEMA) ----
 function systemPrompt(cfg) {
-    const icr    = Number(cfg?.icr || cfg?.insulina_cho || 10);     // g CHO por 1U
-    const isf    = Number(cfg?.isf || cfg?.glicose_insulina || 50); // mg/dL por 1U
-    const target = Number(cfg?.target || 100);                      // mg/dL
-    const strat  = String(cfg?.pg_strategy || "regular_now").trim(); // "regular_now" | "split_rapid"
-    const pgPct  = Math.max(0, Math.min(100, Number(cfg?.pct_cal_pf ?? 100))); // % proteína (kcal) do cadastro
-    const rapid  = String(cfg?.insulina_rapida || "Fiasp");
-
-    return `
-  Você é um assistente especializado em cálculo de doses de insulina para Diabetes Tipo 1, seguindo rigorosamente a SBD (Sociedade Brasileira de Diabetes).
-  Sua resposta deve ser **somente HTML** (sem Markdown e sem cercas de código), obedecendo ao formato abaixo, com números consistentes entre si.
-
-  PARÂMETROS DO PACIENTE (use nas contas; não precisa exibir):
-  - ICR (g/1U): ${icr}
-  - ISF (mg/dL/1U): ${isf}
-  - Glicemia alvo: ${target} mg/dL
-  - Estratégia proteína+gordura: ${strat}  (regular_now = Regular agora; split_rapid = ultrarrápida em 2–3h)
-  - Percentual de proteína a considerar (kcal): ${pgPct}%
-  - Insulina ultrarrápida de refeição: ${rapid}
-
-  REGRAS SBD — SEMPRE SIGA (nunca use fórmulas alternativas):
-  1) Carboidratos (CHO):
-    - Some todos os carboidratos (g) dos itens da refeição.
-    - Dose por CHO = CHO_totais ÷ ICR.
-  2) Correção de glicemia:
-    - Se glicemia_atual > alvo: (glicemia_atual – alvo) ÷ ISF; caso contrário, 0U.
-  3) Proteína + Gordura:
-    - Proteína_total_g → kcalP = proteína_total_g × 4.
-    - Gordura_total_g  → kcalG = gordura_total_g × 9.
-    - Aplique ${pgPct}% sobre kcalP (proteína) e 10% sobre kcalG (gordura).
-    - kcal_total_considerada = (kcalP × ${pgPct}%) + (kcalG × 10%).
-    - CHO equivalente (pg_cho_equiv_g) = kcal_total_considerada ÷ 10.  **Nunca use ÷4 aqui.**
-    - Dose de proteína+gordura = pg_cho_equiv_g ÷ ICR.
-  4) Arredondamento:
-    - Doses finais sempre arredondadas para **inteiro** (≥ 0,5 arredonda para cima).
-  5) Apresentação:
-    - Use exatamente os blocos e a ordem descritos abaixo.
-    - Em **📊 Totais**, use **apenas dois itens**: (1) Carboidratos e (2) Proteínas + Gorduras no formato detalhado.
-    - Não inclua outros <li> em Totais (não liste “Proteínas:” sozinho, “Gorduras:” sozinho, nem “Proteínas + Gorduras (equivalente CHO)” extra).
-    - Use “⇒” para indicar arredondamentos quando útil (ex.: 2,3U ⇒ 2U).
-
-  ========================
-  FORMATO OBRIGATÓRIO (HTML)
-  ========================
-
-  <div class="details-clean">
-    <h3>🍽️ Refeição informada</h3>
-    <div class="table-wrap">
-      <table class="gc-table">
-        <thead>
-          <tr>
-            <th>Alimento</th>
-            <th>Quantidade</th>
-            <th>CHO</th>
-            <th>kcal aprox</th>
-            <th>Proteína</th>
-            <th>Gordura</th>
-          </tr>
-        </thead>
-        <tbody>
-          <!-- Uma linha por item identificado -->
-          <!-- Exemplo:
-          <tr>
-            <td>Arroz branco</td><td>100 g</td><td>28 g</td><td>~130 kcal</td><td>2,5 g</td><td>0,3 g</td>
-          </tr>
-          -->
-        </tbody>
-      </table>
-    </div>
-
-    <h3>📊 Totais</h3>
-    <ul>
-      <li><b>Carboidratos:</b> a + b + c = <b>XX g CHO</b></li>
-      <li>
-        <b>Proteínas + Gorduras:</b><br>
-        Proteína: P1 + P2 + ... = YY g ×4 = KCAL_P × ${pgPct}% = KCAL_P% kcal<br>
-        Gordura: G1 + G2 + ... = ZZ g ×9 = KCAL_G × 10% = KCAL_G10 kcal<br>
-        Carboidratos (p+g) = KCAL_P% + KCAL_G10 = KCAL_TOTAL kcal ÷10 = <b>EQ_PG g CHO</b>
-      </li>
-    </ul>
-
-    <h3>💉 Insulina</h3>
-    <ul>
-      <li><b>${rapid} (cho):</b> CHO_totais ÷ ${icr} = X,U ⇒ <b>YU</b></li>
-      <li><b>Correção (glicemia):</b> máx(0, (Glicemia – ${target}) ÷ ${isf}) = Z,U ⇒ <b>WU</b></li>
-      ${strat === "regular_now"
-        ? `<li><b>Insulina R (proteína/gordura):</b> EQ_PG ÷ ${icr} = P,U ⇒ <b>QU</b></li>`
-        : `<li><i>Proteína/gordura será aplicada com insulina ${rapid} em 2–3 horas:</i> EQ_PG ÷ ${icr} = P,U ⇒ <b>QU</b></li>`
-      }
-      <li><b>Total bolus:</b> ${strat === "regular_now" ? `${rapid}(YU+WU) + Regular(QU)` : `${rapid}(YU+WU) + ${rapid}(QU em 2–3h)`} = <b>TU</b></li>
-    </ul>
-
-    <h3>✅ Resumo da dose</h3>
-    <ul>
-      <li><b>${rapid}:</b> YU + WU = <b>SU</b></li>
-      ${strat === "regular_now"
-        ? `<li><b>Insulina R:</b> QU</li>`
-        : `<li><b>${rapid} (p/g em 2–3h):</b> QU</li>`
-      }
-      <li><b>Total bolus:</b> ${strat === "regular_now" ? `SU + QU = <b>TU</b>` : `SU + QU = <b>TU</b>`}</li>
-      <li><b>Calorias da refeição:</b> ≈ KK kcal</li>
-    </ul>
-
-    <!-- BLOCO JSON OBRIGATÓRIO -->
-    <pre>{
-      "carbo_g": XX,
-      "carbo_totais_g": XX,
-      "fibras_g": 0,
-      "poliois_g": 0,
-      "pg_cho_equiv_g": EQ_PG,
-      "kcal_total": KK,
-      "resumo": "descrição curta: ex. 100 g arroz, 40 g feijão, 1 bife"
-    }</pre>
-  </div>
-
-  REGRAS DE RENDERIZAÇÃO
-  - Apenas HTML. Não usar Markdown. Não repetir enunciados/instruções.
-  - Mostre 1 casa decimal quando útil nas contas intermediárias; doses finais sempre em inteiros.
-  - Use “g” para gramas, “kcal” para energia e “CHO” para carboidratos.
-  - Se não conseguir identificar algum item, estime de forma conservadora e sinalize com “~”.
-
-  VALIDAÇÃO (consistência obrigatória)
-  - Os valores de “CHO_totais”, “EQ_PG” e as doses (YU, WU, QU, SU, TU) devem ser numericamente coerentes com a tabela e com as fórmulas SBD acima.
-  - “EQ_PG” deve SEMPRE ser calculado como: (kcalP × ${pgPct}% + kcalG × 10%) ÷ 10. **Nunca** use ÷4 aqui.
-  - “Insulina R (proteína/gordura)” (ou ultrarrápida em 2–3h, se ${strat} = split_rapid) deve SEMPRE ser: EQ_PG ÷ ${icr}, arredondado para inteiro.
+  const rapid = String(cfg?.insulina_rapida || "Fiasp");
+
+  return `
+  Você é um nutricionista especializado em contagem de carboidratos para Diabetes Tipo 1 (SBD — Sociedade Brasileira de Diabetes).
+  Identifique cada alimento da refeição e estime a porção e a composição nutricional.
+  Responda SOMENTE com o JSON do schema "analise_refeicao" (sem HTML, sem Markdown).
+
+  REGRAS
+  - "nome" genérico e com o preparo (ex.: "Arroz branco cozido", "Feijão carioca cozido"), sem marcas.
+  - Um item por alimento identificado; "quantidade" em medida caseira e "gramas" com o peso estimado da porção.
+  - cho_g = carboidratos TOTAIS da porção (inclui fibras e polióis, que vão separados em fibras_g e poliois_g).
+  - proteina_g, gordura_g e kcal da porção; use referências brasileiras (TACO/IBGE) quando possível.
+  - Se houver embalagem/rótulo visível, use a porção e os valores do rótulo.
+  - Na dúvida, estime de forma conservadora e marque confianca "media" ou "baixa".
+  - Não calcule doses de insulina (${rapid} ou Regular): o servidor faz isso a partir dos totais.
+  - "resumo": descrição curta da refeição; "observacoes": ressalvas (ou "").
   `;
-  }
-
-
-
-
+}
 
-// Extrai JSON do <pre>…</pre> (carbo_g, pg_cho_equiv_g, resumo)
-// Substitua a função inteira por esta
-// server.js — perto do topo, utilidades
-function pickFromPre(html) {
-  let carbo_g = 0, pg_cho_equiv_g = 0, resumo = "";
-  const parseNum = (v) => {
-    if (v == null) return 0;
-    const s = String(v).replace(/\./g, '').replace(',', '.'); // "1.234,5" -> "1234.5"
-    const n = parseFloat(s);
-    return Number.isFinite(n) ? n : 0;
-  };
+// Chama a IA com saída estruturada → texto da resposta.
+// `signal` (cliente desistiu) e o timeout abortam a chamada ao provedor; `aoParcial` liga o streaming.
+async function completarIA({ system, user, schema, label, signal, aoParcial }) {
+  const ctrl = new AbortController();
+  const abortar = () => ctrl.abort();
+  signal?.addEventListener("abort", abortar, { once: true });
+  let msg;
   try {
-    const m = String(html || "").match(/<pre[^>]*>\s*({[\s\S]*?})\s*<\/pre>/i);
-    if (m && m[1]) {
-      const j = JSON.parse(m[1]);
+    msg = await withTimeout(
+      ia.completar({ system, user, schema, signal: ctrl.signal, aoParcial }),
+      45000,
+      `Timeout IA (${label})`,
+      abortar
+    );
+  } finally {
+    signal?.removeEventListener("abort", abortar);
+  }
+  if (msg.refusal) throw new Error(`IA recusou a análise: ${msg.refusal}`);
+  return msg.content;
+}
 
-      // chaves possíveis
-      for (const k of ["carbo_g","carbo_liquido_g","carbo_liquidos_g","cho_g"]) {
-        if (k in j) { carbo_g = parseNum(j[k]); break; }
-      }
-      for (const k of ["pg_cho_equiv_g","pg_cho_equiv","pg_eq_g","pg_eq","pg_cho_g"]) {
-        if (k in j) { pg_cho_equiv_g = parseNum(j[k]); break; }
-      }
-      if ("resumo" in j) resumo = String(j.resumo || "");
-    }
-  } catch {}
-  return { carbo_g, pg_cho_equiv_g, resumo };
+function erroIaInvalida(motivo, code = "IA_INVALIDA") {
+  const e = new Error(`Resposta da IA inválida: ${motivo}`);
+  e.code = code;
+  return e;
 }
-// Tenta extrair proteína e gordura (em g) do HTML dos detalhes (tabela ou linhas tipo "Proteína total: X g")
-function computePgFromHtml(html, percent = 1.0) {
-  const txt = String(html || "");
-  const toNum = (s) => {
-    const n = parseFloat(String(s).replace(/\./g,'').replace(',','.'));
-    return Number.isFinite(n) ? n : 0;
-  };
 
-  let protG = 0, gordG = 0;
-
-  // 1) Procura "Proteína total: 15 g" / "Gordura total: 30 g"
-  const mProt = txt.match(/prote[ií]na(?:\s+total)?\s*[:\-]?\s*([\d\.,]+)\s*g/i);
-  const mGord = txt.match(/gordura(?:\s+total)?\s*[:\-]?\s*([\d\.,]+)\s*g/i);
-  if (mProt) protG = toNum(mProt[1]);
-  if (mGord) gordG = toNum(mGord[1]);
-
-  // 2) Se não achou totais, soma por linhas da tabela (qualquer coluna com "prote" e "gordu/total fat")
-  if (!(protG>0) || !(gordG>0)) {
-    // pega linhas da tabela: <tr>...</tr>
-    const rows = txt.match(/<tr[\s\S]*?<\/tr>/gi) || [];
-    let pSum = 0, gSum = 0;
-    for (const row of rows) {
-      // captura células
-      const cells = Array.from(row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)).map(m=>m[1]);
-      if (cells.length < 2) continue;
-      // tenta mapear pelos cabeçalhos quando presentes
-      const header = cells.map(c => c.replace(/<[^>]+>/g,'').trim().toLowerCase());
-      // heurística: procura campos que parecem números com "g"
-      for (let i=0; i<cells.length; i++) {
-        const plain = header[i];
-        const val   = toNum(cells[i].replace(/<[^>]+>/g,'').match(/([\d\.,]+)/)?.[1] || "");
-        if (!val) continue;
-        if (/prote/i.test(plain)) pSum += val;
-        if (/gordu|fat/i.test(plain)) gSum += val;
-      }
-    }
-    if (pSum>0) protG = protG || pSum;
-    if (gSum>0) gordG = gordG || gSum;
-  }
+// Análise de prato validada (lança erro se vier inválida)
+async function analisarComIA(cfg, userContent, label, opcoes = {}) {
+  const content = await completarIA({ system: systemPrompt(cfg), user: userContent, schema: MEAL_SCHEMA, label, ...opcoes });
+  const { analise, error } = parseAnalise(content);
+  if (error) throw erroIaInvalida(error);
+  // valores da tabela local (TACO) quando o alimento casa com confiança
+  return conciliarAnalise(analise);
+}
 
-  const kcalP = protG*4;
-  const kcalG = gordG*9;
-  // Regra SBD solicitada:
-  const choEq = (protG * (percent || 0)) + (gordG * 0.225);
-  return { protG, gordG, choEq, kcalP, kcalG, kcal: kcalP + kcalG };
+// Modo rótulo: valores por porção copiados da tabela nutricional (lança erro se ilegível/inválida)
+async function lerRotuloComIA(imagens, texto, { signal } = {}) {
+  const content = await completarIA({
+    system: systemPromptRotulo(),
+    user: [
+      { type: "text", text: "Foto(s) da embalagem com a tabela nutricional." + (texto ? ` Observações: ${texto}` : "") },
+      ...partesImagem(imagens),
+    ],
+    schema: ROTULO_SCHEMA,
+    label: "rotulo",
+    signal,
+  });
+  const { rotulo, error, ilegivel } = parseRotulo(content);
+  if (error) throw erroIaInvalida(error, ilegivel ? "ROTULO_ILEGIVEL" : "IA_INVALIDA");
+  return rotulo;
 }
 
 
@@ -285,7 +233,8 @@ app.get("/api/env", (req, res) => {
     ok: !!(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY),
     supabaseUrl: process.env.SUPABASE_URL || null,
     supabaseAnonKey: process.env.SUPABASE_ANON_KEY || null,
-    // openai não é exposta ao front por segurança
+    // chaves da IA não são expostas ao front; só qual provedor está ativo
+    ia: ia ? { provedor: ia.nome, modelo: ia.modelo } : null,
   });
 });
 
@@ -294,13 +243,16 @@ app.get("/api/paciente/:userId", async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
     const { userId } = req.params;
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+
     const { data, error } = await supabase
       .from("patient_settings")
       .select("*")
       .eq("user_id", userId)
       .single();
     if (error && error.code !== "PGRST116") throw error;
-    res.json({ ok: true, data: data || null });
+    res.json({ ok: true, data: auth.proprio ? data || null : configParaConvidado(data) || null, acesso: auth.acesso });
   } catch (e) {
     console.error("[GET /api/paciente/:userId]", e);
     res.status(500).json({ ok: false, error: e.message });
@@ -310,12 +262,37 @@ app.get("/api/paciente/:userId", async (req, res) => {
 app.post("/api/paciente", async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId, settings } = req.body || {};
-    if (!userId || !settings) {
-      return res.status(400).json({ ok: false, error: "userId e settings são obrigatórios" });
+    const { userId = req.user.id, settings } = req.body || {};
+    if (!settings) {
+      return res.status(400).json({ ok: false, error: "settings é obrigatório" });
     }
-    const payload = { user_id: userId, ...settings, updated_at: new Date().toISOString() };
-    const { error } = await supabase.from("patient_settings").upsert(payload, { onConflict: "user_id" });
+    const auth = await autorizarPaciente(req, supabase, userId, "editar_config");
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    if (!auth.proprio) {
+      const f = filtrarConfigConvidado(settings);
+      if (f.error) return res.status(403).json({ ok: false, error: f.error });
+    }
+
+    // perfis por horário (coluna jsonb `perfis`) + fuso do paciente
+    // user_id vem do servidor (token ou concessão), nunca de settings
+    const payload = { ...settings, user_id: userId, updated_at: new Date().toISOString() };
+    if ("perfis" in settings) {
+      const v = validarPerfis(settings.perfis);
+      if (v.error) return res.status(400).json({ ok: false, error: v.error });
+      payload.perfis = v.perfis;
+    }
+    const errTrend = validarTrendAjuste(settings.trend_ajuste_mgdl);
+    if (errTrend) return res.status(400).json({ ok: false, error: errTrend });
+    const errLimites = validarLimites(settings);
+    if (errLimites) return res.status(400).json({ ok: false, error: errLimites });
+    if (settings.fuso_horario) {
+      try { new Intl.DateTimeFormat("en-US", { timeZone: settings.fuso_horario }); }
+      catch { return res.status(400).json({ ok: false, error: "fuso_horario inválido" }); }
+    }
+    // convidado só altera cadastro existente (quem cria é o paciente)
+    const { error } = auth.proprio
+      ? await supabase.from("patient_settings").upsert(payload, { onConflict: "user_id" })
+      : await supabase.from("patient_settings").update(payload).eq("user_id", userId);
     if (error) throw error;
     res.json({ ok: true });
   } catch (e) {
@@ -324,38 +301,151 @@ app.post("/api/paciente", async (req, res) => {
   }
 });
 
-/* ==================== NIGHTSCOUT ===================== */
-async function fetchNightscoutLatest(nsUrl, nsSecret) {
-  const base = String(nsUrl || "").replace(/\/+$/, "");
-  const url = `${base}/api/v1/entries.json?count=1`;
-
-  // tentativa 1: plaintext (algumas instâncias aceitam)
-  let resp = await fetch(url, { headers: nsSecret ? { "API-SECRET": nsSecret } : {} });
+/* ============ ACESSOS (compartilhamento com médico/cuidador) ============ */
+// Concessões que dei (como paciente) e que recebi (convites pelo meu e-mail + acessos ativos)
+app.get("/api/acessos", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const user = req.user;
+
+    const campos = "id,paciente_id,convidado_email,convidado_id,papel,permissao,status,created_at,aceito_em";
+    const [dados, recebidos] = await Promise.all([
+      supabase.from("acessos").select(campos).eq("paciente_id", user.id).neq("status", "revogado").order("created_at"),
+      supabase.from("acessos").select(campos).or(`convidado_id.eq.${user.id},convidado_email.eq."${user.email}"`).neq("status", "revogado").order("created_at"),
+    ]);
+    if (dados.error) throw dados.error;
+    if (recebidos.error) throw recebidos.error;
+
+    // nome do paciente para quem recebeu o acesso
+    const ids = [...new Set((recebidos.data || []).map((a) => a.paciente_id))];
+    let nomes = {};
+    if (ids.length) {
+      const { data } = await supabase.from("patient_settings").select("user_id,nome").in("user_id", ids);
+      nomes = Object.fromEntries((data || []).map((p) => [p.user_id, p.nome]));
+    }
+    res.json({
+      ok: true,
+      data: {
+        concedidos: dados.data || [],
+        recebidos: (recebidos.data || []).map((a) => ({ ...a, paciente_nome: nomes[a.paciente_id] || null })),
+      },
+    });
+  } catch (e) {
+    console.error("[GET /api/acessos]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-  // fallback: SHA-1 no header api-secret
-  if (resp.status === 401 || resp.status === 403) {
-    const headers = nsSecret ? { "api-secret": sha1Hex(nsSecret) } : {};
-    resp = await fetch(url, { headers });
+// Body: { userId, email, papel: "medico"|"cuidador", permissao?: "leitura"|"editar_config" } — só o paciente convida
+app.post("/api/acessos", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId: _ignorado, ...body } = req.body || {};
+    const userId = req.user.id;
+    const user = req.user;
+
+    const { convite, error } = validarConvite(body);
+    if (error) return res.status(400).json({ ok: false, error });
+    if (convite.convidado_email === user.email) return res.status(400).json({ ok: false, error: "Use o e-mail de outra pessoa." });
+
+    // convite repetido para o mesmo e-mail atualiza o existente
+    const { data: existente, error: eSel } = await supabase
+      .from("acessos")
+      .select("id,status")
+      .eq("paciente_id", userId)
+      .eq("convidado_email", convite.convidado_email)
+      .neq("status", "revogado")
+      .maybeSingle();
+    if (eSel) throw eSel;
+
+    const q = existente
+      ? supabase.from("acessos").update({ papel: convite.papel, permissao: convite.permissao }).eq("id", existente.id)
+      : supabase.from("acessos").insert({ ...convite, paciente_id: userId, status: "pendente" });
+    const { data, error: eIns } = await q.select("*").single();
+    if (eIns) throw eIns;
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/acessos]", e);
+    res.status(500).json({ ok: false, error: e.message });
   }
-  return resp;
-}
+});
 
-app.get("/api/ns/latest/:userId", async (req, res) => {
+// O convidado aceita (precisa estar logado com o e-mail do convite)
+app.post("/api/acessos/:id/aceitar", async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId } = req.params;
-    const { data: cfg, error } = await supabase
-      .from("patient_settings")
-      .select("nightscout_url, nightscout_api_secret")
-      .eq("user_id", userId)
+    const user = req.user;
+
+    const { data: acesso, error } = await supabase.from("acessos").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!acesso || acesso.status === "revogado") return res.status(404).json({ ok: false, error: "Convite não encontrado." });
+    if (normalizarEmail(acesso.convidado_email) !== user.email) {
+      return res.status(403).json({ ok: false, error: "Este convite foi enviado para outro e-mail." });
+    }
+    if (acesso.status === "ativo") return res.json({ ok: true, data: acesso });
+
+    const { data, error: eUp } = await supabase
+      .from("acessos")
+      .update({ convidado_id: user.id, status: "ativo", aceito_em: new Date().toISOString() })
+      .eq("id", acesso.id)
+      .select("*")
       .single();
-    if (error && error.code !== "PGRST116") throw error;
+    if (eUp) throw eUp;
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/acessos/:id/aceitar]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Revoga (paciente) ou recusa/sai (convidado)
+app.delete("/api/acessos/:id", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const user = req.user;
+
+    const { data: acesso, error } = await supabase.from("acessos").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!acesso) return res.status(404).json({ ok: false, error: "Acesso não encontrado." });
+    const envolvido = acesso.paciente_id === user.id || acesso.convidado_id === user.id
+      || normalizarEmail(acesso.convidado_email) === user.email;
+    if (!envolvido) return res.status(403).json({ ok: false, error: "Sem permissão." });
+
+    const { error: eUp } = await supabase
+      .from("acessos")
+      .update({ status: "revogado", revogado_em: new Date().toISOString() })
+      .eq("id", acesso.id);
+    if (eUp) throw eUp;
+    res.json({ ok: true, revoked: acesso.id });
+  } catch (e) {
+    console.error("[DELETE /api/acessos/:id]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ==================== NIGHTSCOUT ===================== */
+// URL + secret do cadastro (null se o paciente não configurou)
+async function loadNsConfig(supabase, userId) {
+  const { data: cfg, error } = await supabase
+    .from("patient_settings")
+    .select("nightscout_url, nightscout_api_secret")
+    .eq("user_id", userId)
+    .single();
+  if (error && error.code !== "PGRST116") throw error;
+
+  const nsUrl = cfg?.nightscout_url?.trim();
+  const nsSecret = cfg?.nightscout_api_secret?.trim();
+  return nsUrl ? { nsUrl, nsSecret } : null;
+}
 
-    const nsUrl = cfg?.nightscout_url?.trim();
-    const nsSecret = cfg?.nightscout_api_secret?.trim();
-    if (!nsUrl) return res.json({ ok: false, error: "Nightscout não configurado" });
+app.get("/api/ns/latest/:userId", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+    const ns = await loadNsConfig(supabase, userId);
+    if (!ns) return res.json({ ok: false, error: "Nightscout não configurado" });
 
-    const r = await fetchNightscoutLatest(nsUrl, nsSecret);
+    const r = await fetchNightscoutLatest(ns.nsUrl, ns.nsSecret);
     if (!r.ok) return res.status(r.status).json({ ok: false, error: `Nightscout HTTP ${r.status}` });
     const arr = await r.json();
     if (!Array.isArray(arr) || !arr.length) return res.json({ ok: false, error: "Sem dados" });
@@ -375,6 +465,115 @@ app.get("/api/ns/latest/:userId", async (req, res) => {
   }
 });
 
+// Série de CGM das últimas `hours` horas (1–168), normalizada e com taxa de variação
+app.get("/api/ns/entries/:userId", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+    const hours = Math.max(1, Math.min(168, Number(req.query?.hours) || 24));
+
+    const ns = await loadNsConfig(supabase, userId);
+    if (!ns) return res.json({ ok: false, error: "Nightscout não configurado" });
+
+    const since = Date.now() - hours * 3600000;
+    const r = await fetchNightscoutEntries(ns.nsUrl, ns.nsSecret, since, hours * 60);
+    if (!r.ok) return res.status(r.status).json({ ok: false, error: `Nightscout HTTP ${r.status}` });
+    const arr = await r.json();
+
+    const entries = normalizeSeries(arr).filter((e) => new Date(e.date).getTime() >= since);
+    res.json({
+      ok: true,
+      data: {
+        hours,
+        count: entries.length,
+        entries,
+        ultimo: entries[entries.length - 1] || null,
+        roc_mgdl_min: rateOfChange(entries),
+      },
+    });
+  } catch (e) {
+    console.error("[GET /api/ns/entries]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Seta de tendência atual para o ajuste da correção (só com trend_ajuste ligado e leitura de até 15 min)
+async function fetchNsTrend(cfg, fallback = null) {
+  const fb = fallback in TREND_AJUSTE_PADRAO ? fallback : null;
+  if (!cfg?.trend_ajuste) return null;
+  if (!cfg?.nightscout_url?.trim()) return fb;
+  try {
+    const r = await fetchNightscoutLatest(cfg.nightscout_url.trim(), cfg.nightscout_api_secret?.trim());
+    if (!r.ok) return fb;
+    const e = normalizeSeries(await r.json()).pop();
+    if (!e || Date.now() - new Date(e.date).getTime() > 15 * 60000) return fb;
+    return e.direction in TREND_AJUSTE_PADRAO ? e.direction : null;
+  } catch (e) {
+    console.warn("[fetchNsTrend]", e?.message || e);
+    return fb;
+  }
+}
+
+/* ========== Nightscout: envio de refeições (treatments) ========== */
+// Opt-in por patient_settings.nightscout_sync. Status por linha em refeicoes:
+// ns_sync_status ("pendente" | "ok" | "erro"), ns_sync_tentativas, ns_sync_erro, ns_synced_at, ns_treatment_id
+const nsSyncAtivo = (cfg) => !!(cfg?.nightscout_sync && cfg?.nightscout_url?.trim());
+
+async function syncRefeicaoNs(supabase, row, cfg) {
+  const tentativas = Number(row.ns_sync_tentativas || 0) + 1;
+  let patch;
+  try {
+    const { id } = await postNightscoutTreatment(
+      cfg.nightscout_url.trim(),
+      cfg.nightscout_api_secret?.trim(),
+      mealBolusTreatment(row, cfg)
+    );
+    patch = { ns_sync_status: "ok", ns_sync_tentativas: tentativas, ns_sync_erro: null, ns_synced_at: new Date().toISOString(), ns_treatment_id: id };
+  } catch (e) {
+    const msg = e?.name === "AbortError" ? "Timeout Nightscout" : String(e?.message || e);
+    patch = { ns_sync_status: "erro", ns_sync_tentativas: tentativas, ns_sync_erro: msg.slice(0, 300) };
+  }
+  const { error } = await supabase.from("refeicoes").update(patch).eq("id", row.id);
+  if (error) console.warn("[syncRefeicaoNs] update", error.message);
+  return patch.ns_sync_status;
+}
+
+// Reenvia o que ficou pendente/com erro (últimos 7 dias, até NS_SYNC_MAX_TENTATIVAS)
+async function retryNsPendentes(supabase, userId, cfg) {
+  const since = new Date(Date.now() - 7 * 86400000).toISOString();
+  const { data, error } = await supabase
+    .from("refeicoes")
+    .select("id,data_hora,descricao,glicemia,cho_total_g,dose_rapida_total,dose_regular_pg,dose_rapida_aplicada,dose_regular_aplicada,ns_sync_tentativas,ns_treatment_id")
+    .eq("user_id", userId)
+    .in("ns_sync_status", ["pendente", "erro"])
+    .lt("ns_sync_tentativas", NS_SYNC_MAX_TENTATIVAS)
+    .gte("data_hora", since)
+    .order("data_hora", { ascending: true })
+    .limit(50);
+  if (error) throw error;
+
+  let enviados = 0, falhas = 0;
+  for (const row of data || []) {
+    (await syncRefeicaoNs(supabase, row, cfg)) === "ok" ? enviados++ : falhas++;
+  }
+  return { enviados, falhas };
+}
+
+app.post("/api/ns/sync/:userId", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+    const { data: cfg, error } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
+    if (error && error.code !== "PGRST116") throw error;
+    if (!nsSyncAtivo(cfg)) return res.json({ ok: false, error: "Envio ao Nightscout desativado" });
+
+    res.json({ ok: true, ...(await retryNsPendentes(supabase, userId, cfg)) });
+  } catch (e) {
+    console.error("[POST /api/ns/sync]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
 /* =========== Upload Storage (dataURL -> arquivo) ============ */
 function dataUrlParse(dataUrl) {
   const m = String(dataUrl).match(/^data:([^;]+);base64,(.+)$/);
@@ -385,10 +584,10 @@ function dataUrlParse(dataUrl) {
     ext: (m[1].split("/")[1] || "jpg").split("+")[0],
   };
 }
-async function uploadMealPhoto(supabase, userId, dataUrl) {
+async function uploadMealPhoto(supabase, userId, dataUrl, sufixo = "") {
   const p = dataUrlParse(dataUrl);
   if (!p) return null;
-  const key = `refeicoes/${userId}/${Date.now()}.${p.ext}`;
+  const key = `refeicoes/${userId}/${Date.now()}${sufixo}.${p.ext}`;
   const up = await supabase.storage.from("refeicoes").upload(key, p.buf, {
     contentType: p.mime,
     upsert: true,
@@ -397,427 +596,902 @@ async function uploadMealPhoto(supabase, userId, dataUrl) {
   const pub = supabase.storage.from("refeicoes").getPublicUrl(key);
   return pub?.data?.publicUrl || null;
 }
-// ======== REGRAS SBD: proteína % do paciente + gordura 10% (kcal) ========
-function numBR(s){ const n = parseFloat(String(s||'').replace(/\./g,'').replace(',','.')); return Number.isFinite(n)?n:0; }
-
-// Tenta somar proteína(g) e gordura(g) a partir da tabela da resposta (fallback: 0)
-function parseProtGordFromTable(html){
-  let prot = 0, gord = 0;
-  const partsP = [], partsG = [];
-  const rows = String(html).match(/<tbody>[\s\S]*?<\/tbody>/i);
-  if(rows){
-    const tr = rows[0].match(/<tr[\s\S]*?<\/tr>/gi) || [];
-    for(const r of tr){
-      const tds = r.match(/<td[\s\S]*?<\/td>/gi) || [];
-      if(tds.length >= 6){
-        const protTd = tds[4].replace(/<[^>]+>/g,'').trim();
-        const gordTd = tds[5].replace(/<[^>]+>/g,'').trim();
-        const p = numBR(protTd); // aceita "7g" ou "7"
-        const g = numBR(gordTd);
-        if (p){ prot += p; partsP.push(p); }
-        if (g){ gord += g; partsG.push(g); }
-      }
-    }
+/* ============ Gravação de refeição ============ */
+// Insere em refeicoes (se falhar com descricao_model/colunas opcionais, tenta a versão básica)
+// `itens` (jsonb) guarda os alimentos da análise estruturada.
+async function inserirRefeicao(supabase, payload) {
+  const first = await supabase.from("refeicoes").insert(payload).select("*").single();
+  if (!first.error) return first.data;
+
+  const basic = { ...payload };
+  delete basic.descricao_model;
+  delete basic.itens;
+  delete basic.ns_sync_status;
+  delete basic.fotos;
+  const retry = await supabase.from("refeicoes").insert(basic).select("*").single();
+  if (retry.error) throw first.error;
+  return retry.data;
+}
+
+// Depois de gravar: envia ao Nightscout sem segurar a resposta (falhas ficam como "erro" para retry)
+function agendarSyncNs(supabase, row, cfg) {
+  if (!row?.id || !nsSyncAtivo(cfg)) return null;
+  syncRefeicaoNs(supabase, row, cfg)
+    .then(() => retryNsPendentes(supabase, row.user_id, cfg))
+    .catch((e) => console.warn("[syncRefeicaoNs]", e?.message || e));
+  return "pendente";
+}
+
+/* ============ IOB (insulina ativa das últimas horas) ============ */
+async function fetchIob(supabase, userId, cfg, agora = new Date()) {
+  const since = new Date(agora.getTime() - IOB_LOOKBACK_H * 3600000).toISOString();
+  const [ref, reg] = await Promise.all([
+    supabase
+      .from("refeicoes")
+      .select("data_hora,dose_rapida_total,dose_regular_pg,dose_rapida_aplicada,dose_regular_aplicada")
+      .eq("user_id", userId)
+      .gte("data_hora", since),
+    supabase
+      .from("registros")
+      .select("tipo,data_hora,unidades")
+      .eq("user_id", userId)
+      .eq("tipo", "correcao")
+      .gte("data_hora", since),
+  ]);
+  if (ref.error) throw ref.error;
+  if (reg.error) throw reg.error;
+  return calcularIob([...dosesFromRefeicoes(ref.data), ...dosesFromRegistros(reg.data)], cfg, agora);
+}
+
+// Não trava o cálculo se o histórico falhar, mas sinaliza que o IOB não foi considerado
+async function fetchIobSafe(supabase, userId, cfg, agora = new Date()) {
+  try {
+    return await fetchIob(supabase, userId, cfg, agora);
+  } catch (e) {
+    console.warn("[fetchIob]", e?.message || e);
+    return { total_u: 0, doses: [], erro: "IOB indisponível (histórico não carregou)" };
   }
-  return { prot_g: prot, gord_g: gord, partsP, partsG };
 }
-// Remove os <li> extras ("Proteínas:", "Gorduras:", "Proteínas + Gorduras (equivalente CHO)")
 
-// Remove quaisquer <li> relacionados a Proteínas+Gorduras gerados pela IA
-function stripExtraPgLis(html){
-  return String(html)
-    // remove "Proteínas:" isolado
-    .replace(/<li>\s*<b>Prote[ií]nas:\b[\s\S]*?<\/li>\s*/gi, "")
-    // remove "Gorduras:" isolado
-    .replace(/<li>\s*<b>Gorduras:\b[\s\S]*?<\/li>\s*/gi, "")
-    // remove "Proteínas + Gorduras (equivalente CHO): ..."
-    .replace(/<li>\s*<b>Prote[ií]nas\s*\+\s*Gorduras\s*\(equivalente\s*CHO\)\s*:[\s\S]*?<\/li>\s*/gi, "")
-    // remove QUALQUER bloco "Proteínas + Gorduras:" (com ou sem extra)
-    .replace(/<li>\s*<b>Prote[ií]nas\s*\+\s*Gorduras\s*:[\s\S]*?<\/li>\s*/gi, "");
+/* ============ Refeição: perfil → análise → doses → gravação ============ */
+async function carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora }) {
+  const { data: cfgRaw, error } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
+  if (error && error.code !== "PGRST116") throw error; // sem cadastro: padrões; falha de leitura não vira dose com ICR padrão
+  return resolverPerfil(
+    { ...(cfgRaw || {}), pg_strategy: pg_strategy || cfgRaw?.pg_strategy || "regular_now" },
+    { data_hora, tipo: tipo || "outro" }
+  );
 }
 
+// Cache das análises (só os itens; as doses são sempre recalculadas com a glicemia do momento)
+const cacheAnalises = criarCache({
+  max: Number(process.env.IA_CACHE_MAX) || 500,
+  ttlMs: (Number(process.env.IA_CACHE_TTL_MIN) || 720) * 60000,
+});
+
+// Mesmo texto (sem diferença de caixa/espaços) ou mesmas fotos + o que muda a resposta da IA → mesma chave
+function chaveAnalise(cfg, { texto, imagens, tipo, modo = "prato" }) {
+  return sha1Hex(JSON.stringify({
+    ia: `${ia.nome}/${ia.modelo}`,
+    modo,
+    tipo: tipo || "outro",
+    insulina: String(cfg?.insulina_rapida || "Fiasp"),
+    texto: texto.normalize("NFC").toLowerCase().replace(/\s+/g, " ").replace(/[.!]+$/, ""),
+    fotos: imagens.map(sha1Hex),
+  }));
+}
 
-// Corrige a linha "Insulina R (proteína/gordura): ..." no bloco Insulina
-function patchRegularDose(html, regU){
-  let out = String(html);
+// Texto ou foto → análise validada (null sem IA configurada) + descrição curta.
+// `cache`: "cache" (já analisada), "compartilhado" (pedido igual em andamento) ou "novo".
+// Modo rótulo: o cache guarda a leitura da tabela; o item sai de `consumo` (quanto comeu) a cada pedido.
+async function analisarRefeicao(cfg, { message, imagens = [], tipo, modo = "prato", consumo }) {
+  const texto = String(message || "").trim();
+  if (!ia) return { analise: null, descricao: texto || (imagens.length ? "[foto]" : ""), cache: null };
+
+  if (modo === "rotulo") {
+    const { valor: rotulo, origem } = await cacheAnalises.obter(chaveAnalise(cfg, { texto, imagens, tipo, modo }), () =>
+      lerRotuloComIA(imagens, texto)
+    );
+    const analise = analiseDoRotulo(rotulo, consumo);
+    return { analise, descricao: analise.resumo, cache: origem };
+  }
 
-  // Linha do bloco "💉 Insulina"
-  out = out.replace(
-    /(<li><b>Insulina R \(prote[ií]na\/gordura\):[^<]*?)\d+(?:[.,]\d+)?U/i,
-    `$1${regU}U`
+  const { valor: analise, origem } = await cacheAnalises.obter(chaveAnalise(cfg, { texto, imagens, tipo }), () =>
+    pedirAnalise(cfg, { texto, imagens, tipo })
   );
+  return { analise, descricao: analise.resumo || texto || "[foto]", cache: origem };
+}
 
-  // Linha no "✅ Resumo da dose"
-  out = out.replace(
-    /(<li><b>Insulina R:?\s*<\/b>\s*)\d+(?:[.,]\d+)?U/i,
-    `$1${regU}U`
+// Partes de imagem do conteúdo enviado à IA
+const partesImagem = (imagens) => imagens.map((url) => ({ type: "image_url", image_url: { url } }));
+
+// Monta o conteúdo (texto ou fotos + observações) e chama a IA
+function pedirAnalise(cfg, { texto, imagens, tipo }, opcoes) {
+  if (!imagens.length) return analisarComIA(cfg, `Refeição textual: ${texto}\nTipo: ${tipo || "outro"}`, "chat-texto", opcoes);
+  const cabecalho = imagens.length > 1
+    ? `${imagens.length} fotos da MESMA refeição (ângulos diferentes e/ou rótulo nutricional + prato): não conte o mesmo alimento ` +
+      `duas vezes; havendo rótulo, use a porção e os valores dele. Tipo: ${tipo || "outro"}. `
+    : `Foto da refeição. Tipo: ${tipo || "outro"}. `;
+  return analisarComIA(
+    cfg,
+    [{ type: "text", text: cabecalho + (texto ? `Observações: ${texto}` : "") }, ...partesImagem(imagens)],
+    "chat-imagem",
+    opcoes
   );
+}
 
-  // Caso a estratégia seja rápida depois (split_rapid)
-  out = out.replace(
-    /(<li><b>Insulina [^<]*?2\s*[–-]\s*3\s*horas:?\s*<\/b>\s*)\d+(?:[.,]\d+)?U/i,
-    `$1${regU}U`
+// Foto(s) do prato depois de comer → análise só do que sobrou (sem cache: cada prato é um)
+function analisarSobras(cfg, servidos, { imagens, texto }) {
+  const lista = servidos.map((it) => `${it.nome} (${it.quantidade || `${it.gramas} g`})`).join("; ");
+  return analisarComIA(
+    cfg,
+    [
+      {
+        type: "text",
+        text: `Foto(s) das SOBRAS, tiradas depois da refeição. Foi servido: ${lista}. ` +
+          `Liste só o que ficou no prato, com os mesmos nomes e a porção que sobrou; prato limpo = itens vazio.` +
+          (texto ? ` Observações: ${texto}` : ""),
+      },
+      ...partesImagem(imagens),
+    ],
+    "sobras"
   );
+}
 
-  return out;
+/**
+ * Versão em streaming de analisarRefeicao: `aoItem(item, indice)` a cada alimento completo
+ * (já validado e conciliado com a tabela). Não entra na deduplicação — o pedido é desta conexão
+ * e `signal` o cancela —, mas usa e alimenta o mesmo cache.
+ */
+async function analisarRefeicaoStream(cfg, { message, imagens = [], tipo, modo = "prato", consumo }, { signal, aoItem }) {
+  const texto = String(message || "").trim();
+  if (modo === "rotulo") {
+    // um item só, que depende da leitura inteira: sem streaming parcial
+    const chave = chaveAnalise(cfg, { texto, imagens, tipo, modo });
+    let rotulo = cacheAnalises.consultar(chave);
+    const cache = rotulo ? "cache" : "novo";
+    if (!rotulo) {
+      rotulo = await lerRotuloComIA(imagens, texto, { signal });
+      cacheAnalises.guardar(chave, structuredClone(rotulo));
+    }
+    const analise = analiseDoRotulo(rotulo, consumo);
+    analise.itens.forEach(aoItem);
+    return { analise, descricao: analise.resumo, cache };
+  }
+  const chave = chaveAnalise(cfg, { texto, imagens, tipo });
+  let analise = cacheAnalises.consultar(chave);
+  const cache = analise ? "cache" : "novo";
+
+  if (analise) analise.itens.forEach(aoItem);
+  else {
+    let emitidos = 0;
+    const aoParcial = (parcial) => {
+      const itens = itensParciais(parcial);
+      for (; emitidos < itens.length; emitidos++) {
+        const { analise: um } = validarAnalise({ itens: [itens[emitidos]] });
+        if (um) aoItem(conciliarAnalise(um).itens[0], emitidos);
+      }
+    };
+    analise = await pedirAnalise(cfg, { texto, imagens, tipo }, { signal, aoParcial });
+    cacheAnalises.guardar(chave, structuredClone(analise));
+  }
+  return { analise, descricao: analise.resumo || texto || "[foto]", cache };
 }
 
-// Mantém o total com "XU + YU = ZU"
-function patchTotalBolus(html, rapidName, rapidU, regU){
-  const total = rapidU + regU;
-  const li = `<li><b>Total bolus:</b> ${rapidU}U + ${regU}U = <b>${total}U</b></li>`;
-  return String(html).replace(/<li><b>Total bolus:[\s\S]*?<\/li>/i, li);
+// Glicemia do momento da refeição: mesma faixa dos validadores de registros e sobras
+const glicemiaValida = (g) => typeof g === "number" && g > 0 && g < 1000;
+
+// Doses sempre pelo motor do servidor (bolus.js): IOB + tendência + guardrails (hipo/hiper/dose máxima)
+// `data_hora` (refeição registrada depois): IOB naquele instante; padrão, agora.
+async function dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend: trendCliente, data_hora = new Date() }) {
+  const macros = analise ? macrosDaAnalise(analise) : { carbo_g: 0, pg_cho_equiv_g: 0 };
+  const iob = await fetchIobSafe(supabase, userId, cfg, new Date(data_hora));
+  const trend = await fetchNsTrend(cfg, trendCliente);
+  const bolus = aplicarGuardrails(calcularBolus({ ...macros, glicemia: Number(glicemia), trend }, cfg, { iob }), cfg);
+  const detalhes_html = renderDetalhesHtml(analise, bolus, { aviso: "Análise automática indisponível." });
+  return { bolus, detalhes_html };
 }
 
+// Corpo comum das respostas de refeição (rascunho e gravada)
+function respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }) {
+  const { icr, isf, target, strat } = bolus.params;
+  return {
+    input: { descricao, glicemia: Number(glicemia) },
+    config: {
+      insulina_rapida: cfg?.insulina_rapida || "Fiasp",
+      insulina_cho: icr,
+      glicose_insulina: isf,
+      target,
+      pg_strategy: strat,
+      perfil: cfg.perfil_ativo,
+      trend_ajuste: !!cfg.trend_ajuste,
+    },
+    totais: { carbo_g: bolus.cho.carbo_g, pg_cho_equiv_g: bolus.pg.pg_cho_equiv_g, iob_u: bolus.iob.total_u },
+    analise,
+    bolus,
+    warnings: bolus.warnings,
+    detalhes_html,
+  };
+}
 
+async function gravarRefeicao(supabase, userId, cfg, { data_hora, tipo, descricao, glicemia, analise, bolus, detalhes_html, fotos }) {
+  const insertPayload = {
+    user_id: userId,
+    data_hora,
+    tipo: tipo || "outro",
+    descricao,
+    glicemia: Number(glicemia),
+    cho_total_g: Number(bolus.cho.carbo_g),
+    pg_cho_equiv_g: Number(bolus.pg.pg_cho_equiv_g),
+    dose_rapida_total: bolus.rapida_agora_u,
+    dose_regular_pg: bolus.regular_u,
+    descricao_model: detalhes_html,
+    itens: analise?.itens || null,
+  };
+  if (fotos !== undefined) {
+    insertPayload.foto_url = fotos[0] ?? null;
+    if (fotos.length > 1) insertPayload.fotos = fotos;
+  }
+  if (nsSyncAtivo(cfg)) insertPayload.ns_sync_status = "pendente";
+  const row = await inserirRefeicao(supabase, insertPayload);
+  return { row, ns_sync: agendarSyncNs(supabase, row, cfg) };
+}
 
-// Insere/atualiza a linha de “Proteínas/gorduras … → X g CHO” nos Totais
+// Upload das fotos para o Storage (cada uma pode falhar sem travar o fluxo) → URLs (undefined sem foto)
+async function uploadMealPhotosSafe(supabase, userId, imagens, prefixo = "") {
+  if (!imagens?.length) return undefined;
+  const urls = [];
+  for (const [i, img] of imagens.entries()) {
+    try {
+      const url = await uploadMealPhoto(supabase, userId, img, `${prefixo}-${i + 1}`);
+      if (url) urls.push(url);
+    } catch (eUp) {
+      console.warn("[uploadMealPhoto]", eUp?.message || eUp);
+    }
+  }
+  return urls;
+}
 
-function patchPgTotals(html, prot_g, gord_g, kcalP, kcalG, kcalSumConsiderada, choEq, partsP, partsG, protPct){
-  const fmt1 = (n) => Number(n).toFixed(1);
+// Erros da IA → { status, error } para o front
+function statusErroAnalise(e) {
+  const msg = String(e?.message || "");
+  if (msg.startsWith("Timeout")) return { status: 504, error: "Timeout ao analisar a refeição." };
+  if (e?.code === "IA_INVALIDA") {
+    return { status: 502, error: "A análise automática veio inconsistente. Tente novamente ou detalhe melhor a refeição." };
+  }
+  if (e?.code === "ROTULO_ILEGIVEL") {
+    return { status: 422, error: "Não deu para ler a tabela nutricional. Fotografe a tabela de perto, sem reflexo, e tente de novo." };
+  }
+  return { status: 500, error: e.message };
+}
 
-  // monta as somas detalhadas (3 + 40 = 43g; 0,5 + 70 = 70,5g etc.)
-  const joinParts = (arr) => arr && arr.length ? arr.map(v => String(v).replace('.', ',')).join(' + ') : '';
-  const protSum = partsP?.length ? `${joinParts(partsP)} = ${String(prot_g).replace('.', ',')}g` : `${String(prot_g).replace('.', ',')}g`;
-  const gordSum = partsG?.length ? `${joinParts(partsG)} = ${String(gord_g).replace('.', ',')}g` : `${String(gord_g).replace('.', ',')}g`;
+function erroAnalise(res, e) {
+  const { status, error } = statusErroAnalise(e);
+  return res.status(status).json({ ok: false, error });
+}
 
-  const kcalPpct = (kcalP * (protPct/100));
-  const kcalG10  = (kcalG * 0.10);
+/* ===================== CHAT (TEXTO) ===================== */
+// Fluxo direto (analisa, calcula e grava). O app usa /api/refeicoes/analisar + /confirmar.
+app.post("/api/chat", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { message, glicemia, pg_strategy, tipo, trend } = req.body || {};
+    const userId = req.user.id;
+    if (!glicemiaValida(glicemia)) {
+      return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
+    }
+    // sem IA a análise sairia com 0 g de carbo: não grava refeição/dose enganosa no histórico
+    if (!ia) return res.status(503).json({ ok: false, error: "Análise automática indisponível (configure IA_PROVEDOR ou OPENAI_API_KEY)." });
 
-  // 1) remove tudo que seja P+G pré-existente
-  let out = stripExtraPgLis(String(html));
+    const data_hora = new Date().toISOString();
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora });
+    const { analise, descricao } = await analisarRefeicao(cfg, { message, tipo });
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend });
 
-  // 2) monta o ÚNICO bloco
-  const bloco = [
-    `<li>`,
-    `<b>Proteínas + Gorduras:</b><br>`,
-    `Proteína: ${protSum} ×4 = ${String(Math.round(kcalP)).replace('.', ',')} kcal × ${protPct}% = ${String(fmt1(kcalPpct)).replace('.', ',')} kcal<br>`,
-    `Gordura: ${gordSum} ×9 = ${String(Math.round(kcalG)).replace('.', ',')} kcal × 10% = ${String(fmt1(kcalG10)).replace('.', ',')} kcal<br>`,
-    `Carboidratos (p+g) = ${String(fmt1(kcalPpct)).replace('.', ',')} + ${String(fmt1(kcalG10)).replace('.', ',')} = ${String(fmt1(kcalSumConsiderada)).replace('.', ',')} kcal ÷10 = <b>${String(choEq.toFixed(1)).replace('.', ',')} g CHO</b>`,
-    `</li>`
-  ].join("");
+    // gravação (se falhar com descricao_model/itens, tentamos a versão básica)
+    const { row, ns_sync } = await gravarRefeicao(supabase, userId, cfg, { data_hora, tipo, descricao, glicemia, analise, bolus, detalhes_html });
 
-  // 3) insere após o <li> Carboidratos
-  if (/<li>\s*<b>Carboidratos:\b[\s\S]*?<\/li>/i.test(out)){
-    out = out.replace(/(<li>\s*<b>Carboidratos:\b[\s\S]*?<\/li>)/i, `$1\n${bloco}`);
-  } else {
-    // fallback: adiciona no fim da <ul> de Totais
-    out = out.replace(/(<h3>[^<]*Totais[^<]*<\/h3>\s*<ul[^>]*>)/i, `$1\n${bloco}`);
+    res.json({
+      ok: true,
+      id: row?.id ?? null,
+      ns_sync,
+      ...respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }),
+    });
+  } catch (e) {
+    console.error("[POST /api/chat]", e);
+    erroAnalise(res, e);
   }
-
-  return out;
-}
-
+});
 
 
-// Garante a regra SBD no HTML + JSON <pre> final (usa % do cadastro!)
+/* ===================== CHAT (IMAGEM) ===================== */
+// Body: { userId, glicemia, image_data_url? e/ou imagens? (até FOTOS_MAX), tipo?, pg_strategy?, message?, trend?,
+//         modo? ("prato" | "rotulo"), quantidade_g? ou porcoes? (no modo rótulo, quanto comeu) }
+app.post("/api/chat-image", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { glicemia, tipo, pg_strategy, message, trend } = req.body || {};
+    const userId = req.user.id;
+    const { imagens, error: eImg } = lerImagens(req.body);
+    if (eImg) return res.status(400).json({ ok: false, error: eImg });
+    if (!glicemiaValida(glicemia) || !imagens.length) {
+      return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
+    }
+    const { modo, consumo, error: eModo } = lerModoAnalise(req.body, { fotos: imagens.length });
+    if (eModo) return res.status(400).json({ ok: false, error: eModo });
+    if (!ia) return res.status(503).json({ ok: false, error: "Análise automática indisponível (configure IA_PROVEDOR ou OPENAI_API_KEY)." });
 
-function enforcePgRule(html, cfg){
-  const protPct = Math.max(0, Math.min(100, Number(cfg?.pct_cal_pf ?? 0)));
-  const icr     = Number(cfg?.icr || cfg?.insulina_cho || 10);
+    const data_hora = new Date().toISOString();
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora });
+    const { analise, descricao } = await analisarRefeicao(cfg, { message, imagens, tipo, modo, consumo });
+    const fotos = await uploadMealPhotosSafe(supabase, userId, imagens);
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend });
 
-  // limpa quaisquer blocos de P+G que a IA possa ter inserido
-  let out = stripExtraPgLis(String(html));
+    const { row, ns_sync } = await gravarRefeicao(supabase, userId, cfg, { data_hora, tipo, descricao, glicemia, analise, bolus, detalhes_html, fotos });
 
-  // extrai proteína/gordura da tabela
-  const { prot_g, gord_g, partsP, partsG } = parseProtGordFromTable(out);
+    res.json({
+      ok: true,
+      id: row?.id ?? null,
+      ns_sync,
+      ...respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }),
+    });
+  } catch (e) {
+    console.error("[POST /api/chat-image]", e);
+    // modo rótulo: o erro diz o que fazer (ex.: fotografar a tabela de perto); dose sem análise não serve
+    if (req.body?.modo === "rotulo") return erroAnalise(res, e);
+    // Fallback gentil: devolve sem análise (e sem dose) para o front não travar, com o cadastro do paciente
+    try {
+      const { glicemia, tipo, pg_strategy, message } = req.body || {};
+      const cfg = await carregarCfgRefeicao(supabaseFromReq(req), req.user.id, { pg_strategy, tipo, data_hora: new Date() });
+      const { icr, isf, target, strat } = bolusParams(cfg);
+      res.json({
+        ok: true,
+        input: { descricao: String(message || "[foto]").trim(), glicemia: Number(glicemia) },
+        config: {
+          insulina_rapida: cfg?.insulina_rapida || "Fiasp",
+          insulina_cho: icr,
+          glicose_insulina: isf,
+          target,
+          pg_strategy: strat,
+          perfil: cfg.perfil_ativo,
+          trend_ajuste: !!cfg.trend_ajuste,
+        },
+        totais: { carbo_g: 0, pg_cho_equiv_g: 0 },
+        warnings: [{ code: "ANALISE_FALHOU", nivel: "alerta", mensagem: "A imagem não foi analisada; nenhuma dose foi calculada." }],
+        detalhes_html: "<em>Não foi possível analisar a imagem agora. Tente novamente ou descreva a refeição em texto.</em>",
+      });
+    } catch (eCfg) {
+      // sem o cadastro não há como montar a resposta: erro de verdade
+      console.error("[POST /api/chat-image] cadastro", eCfg);
+      erroAnalise(res, e);
+    }
+  }
+});
 
-  const kcalP = prot_g * 4;
-  const kcalG = gord_g * 9;
-  const kcalProtConsiderada = kcalP * (protPct/100);
-  const kcalGordConsiderada = kcalG * 0.10;
 
-  const pg_cho_equiv_g = (kcalProtConsiderada + kcalGordConsiderada) / 10;
+/* ============ REFEIÇÃO EM DUAS ETAPAS (rascunho → confirmação) ============ */
+// 1) Analisa texto/foto e devolve o rascunho itemizado com doses de prévia — nada é gravado.
+// Body: { userId, glicemia, tipo?, pg_strategy?, message?, image_data_url? e/ou imagens?, trend?, modo?, quantidade_g?/porcoes? }
+app.post("/api/refeicoes/analisar", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { glicemia, tipo, pg_strategy, message, trend } = req.body || {};
+    const userId = req.user.id;
+    const { imagens, error: eImg } = lerImagens(req.body);
+    if (eImg) return res.status(400).json({ ok: false, error: eImg });
+    if (!glicemiaValida(glicemia) || (!imagens.length && !String(message || "").trim())) {
+      return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
+    }
+    const { modo, consumo, error: eModo } = lerModoAnalise(req.body, { fotos: imagens.length });
+    if (eModo) return res.status(400).json({ ok: false, error: eModo });
+    if (!ia) return res.status(503).json({ ok: false, error: "Análise automática indisponível (configure IA_PROVEDOR ou OPENAI_API_KEY)." });
 
-  // insere o ÚNICO bloco de P+G já corrigido
-  out = patchPgTotals(
-    out,
-    prot_g, gord_g,
-    kcalP,  kcalG,
-    (kcalProtConsiderada + kcalGordConsiderada),
-    pg_cho_equiv_g,
-    partsP, partsG,
-    protPct
-  );
+    const data_hora = new Date().toISOString();
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora });
+    const { analise, descricao, cache } = await analisarRefeicao(cfg, { message, imagens, tipo, modo, consumo });
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend });
 
-  // atualiza o <pre>{...}
-  out = out.replace(
-    /<pre[^>]*>\s*({[\s\S]*?})\s*<\/pre>/i,
-    (m, jstr) => {
-      try {
-        const j = JSON.parse(jstr);
-        j.pg_cho_equiv_g = Number(pg_cho_equiv_g.toFixed(1));
-        return `<pre>${JSON.stringify(j)}</pre>`;
-      } catch { return m; }
-    }
-  );
+    res.json({
+      ok: true,
+      cache,
+      rascunho: { data_hora, tipo: tipo || "outro", descricao, itens: analise.itens, observacoes: analise.observacoes },
+      ...respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }),
+    });
+  } catch (e) {
+    console.error("[POST /api/refeicoes/analisar]", e);
+    erroAnalise(res, e);
+  }
+});
 
-  return { html: out, pg_cho_equiv_g, doseRegular: icr>0 ? (pg_cho_equiv_g/icr) : 0, protPct };
+/* ============ ANÁLISE EM STREAMING (SSE) ============ */
+// Mesmo body das rotas sem streaming; a resposta é text/event-stream com, nesta ordem:
+//   item   { indice, item }  — cada alimento assim que a IA fecha o objeto
+//   totais { itens, carbo_totais_g, fibras_g, poliois_g, prot_g, gord_g, kcal_total, cache }
+//   doses  { ok, ... }       — o mesmo corpo da rota sem streaming (doses finais do servidor)
+//   erro   { status, error } — no lugar de doses, se falhar
+// Fechar a conexão (abortar o fetch) cancela a chamada à IA.
+function abrirSse(res) {
+  const ctrl = new AbortController();
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx não segura os eventos
+  });
+  res.flushHeaders();
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000); // mantém proxies/rede móvel com a conexão aberta
+  res.on("close", () => {
+    clearInterval(ping);
+    if (!res.writableEnded) ctrl.abort();
+  });
+  return {
+    signal: ctrl.signal,
+    enviar: (evento, dados) => {
+      if (!ctrl.signal.aborted) res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+    },
+    fechar: () => {
+      clearInterval(ping);
+      res.end();
+    },
+  };
 }
 
+// `gravar`: fluxo direto do /api/chat (grava no fim); sem ele devolve o rascunho como /api/refeicoes/analisar
+async function analisarEmStream(req, res, { gravar, rota }) {
+  const { glicemia, tipo, pg_strategy, message, trend } = req.body || {};
+  const { imagens, error: eImg } = lerImagens(req.body);
+  if (eImg) return res.status(400).json({ ok: false, error: eImg });
+  if (!glicemiaValida(glicemia) || (!imagens.length && !String(message || "").trim())) {
+    return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
+  }
+  const { modo, consumo, error: eModo } = lerModoAnalise(req.body, { fotos: imagens.length });
+  if (eModo) return res.status(400).json({ ok: false, error: eModo });
+  if (!ia) return res.status(503).json({ ok: false, error: "Análise automática indisponível (configure IA_PROVEDOR ou OPENAI_API_KEY)." });
 
+  const supabase = supabaseFromReq(req);
+  const userId = req.user.id;
+  const sse = abrirSse(res);
+  try {
+    const data_hora = new Date().toISOString();
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora });
+    const { analise, descricao, cache } = await analisarRefeicaoStream(cfg, { message, imagens, tipo, modo, consumo }, {
+      signal: sse.signal,
+      aoItem: (item, indice) => sse.enviar("item", { indice, item }),
+    });
+    sse.enviar("totais", { itens: analise.itens.length, ...totaisDaAnalise(analise), cache });
+
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend });
+    if (sse.signal.aborted) return; // desistiu antes das doses: nada é gravado
+    const resposta = respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html });
+
+    if (!gravar) {
+      return sse.enviar("doses", {
+        ok: true,
+        cache,
+        rascunho: { data_hora, tipo: tipo || "outro", descricao, itens: analise.itens, observacoes: analise.observacoes },
+        ...resposta,
+      });
+    }
+    const fotos = await uploadMealPhotosSafe(supabase, userId, imagens);
+    const { row, ns_sync } = await gravarRefeicao(supabase, userId, cfg, { data_hora, tipo, descricao, glicemia, analise, bolus, detalhes_html, fotos });
+    sse.enviar("doses", { ok: true, id: row?.id ?? null, ns_sync, cache, ...resposta });
+  } catch (e) {
+    if (sse.signal.aborted) return console.log(`[${rota}] cancelada pelo cliente`);
+    console.error(`[${rota}]`, e);
+    sse.enviar("erro", statusErroAnalise(e));
+  } finally {
+    sse.fechar();
+  }
+}
 
+app.post("/api/refeicoes/analisar/stream", proprio, (req, res) =>
+  analisarEmStream(req, res, { gravar: false, rota: "POST /api/refeicoes/analisar/stream" })
+);
+app.post("/api/chat/stream", proprio, (req, res) => analisarEmStream(req, res, { gravar: true, rota: "POST /api/chat/stream" }));
 
-/* ===================== CHAT (TEXTO) ===================== */
-app.post("/api/chat", async (req, res) => {
+// 2) Recebe os itens editados (quantidades, itens adicionados/removidos), recalcula totais e doses e grava.
+// Body: { userId, glicemia, itens, tipo?, pg_strategy?, data_hora?, descricao?, observacoes?, image_data_url? e/ou imagens?, trend? }
+// Item novo pode vir só com { nome, gramas }: os valores saem da tabela local.
+app.post("/api/refeicoes/confirmar", proprio, async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId, message, glicemia, pg_strategy, tipo } = req.body || {};
-    if (!userId || typeof glicemia !== "number") {
+    const { glicemia, itens, pg_strategy, trend } = req.body || {};
+    const userId = req.user.id;
+    const { imagens, error: eImg } = lerImagens(req.body);
+    if (eImg) return res.status(400).json({ ok: false, error: eImg });
+    if (!glicemiaValida(glicemia)) {
       return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
     }
-
-    const { data: cfgRaw } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
-    const cfg = { ...(cfgRaw || {}), pg_strategy: pg_strategy || cfgRaw?.pg_strategy || "regular_now" };
-
-    let detalhes_html = "";
-    let carbo_g = 0, pg_cho_equiv_g = 0, refeicao_resumo = String(message || "").trim();
-
-    if (openai) {
-      const completion = await withTimeout(
-        openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          temperature: 0.1,
-          messages: [
-            { role: "system", content: systemPrompt(cfg) },
-            { role: "user", content: `Refeição textual: ${refeicao_resumo}\nGlicemia: ${glicemia} mg/dL\nTipo: ${tipo || "outro"}` },
-          ],
-        }),
-        45000,
-        "Timeout IA (chat-texto)"
-      );
-      const raw = completion.choices?.[0]?.message?.content || "";
-      detalhes_html = stripFences(raw);
-      const parsed = pickFromPre(raw);
-      carbo_g = parsed.carbo_g;
-      pg_cho_equiv_g = parsed.pg_cho_equiv_g;
-      if (parsed.resumo) refeicao_resumo = parsed.resumo;
-
-      // === Fallback P+G (a partir do HTML/tabela) ===
-      const percent = Math.max(0, Math.min(100, Number(cfg?.pct_cal_pf ?? 100))) / 100;
-      if (!(pg_cho_equiv_g > 0)) {
-        const r = computePgFromHtml(detalhes_html, percent);   // retorna { protG, gordG, choEq, ... }
-        pg_cho_equiv_g = r.choEq;                              // choEq = protG*(%/100) + gordG*0.225
-        // (opcional) detalhes_html = patchPgTotals(..., r.kcalP, r.kcalG, r.kcal, pg_cho_equiv_g);
-      }
-      // ==============================================
-
-      // === Força a regra SBD no HTML/JSON (usa % do cadastro e 10% gordura) ===
-      const enforced = enforcePgRule(detalhes_html, cfg);
-      detalhes_html   = enforced.html;
-      if (!(pg_cho_equiv_g > 0)) pg_cho_equiv_g = enforced.pg_cho_equiv_g;
-
-    } else {
-      detalhes_html = "<em>Análise automática indisponível.</em>";
-    }
-
-      
-    const icr    = Number(cfg?.icr || cfg?.insulina_cho || 10);
-    const isf    = Number(cfg?.isf || cfg?.glicose_insulina || 50);
-    const target = Number(cfg?.target || 100);
-    const strat  = (cfg?.pg_strategy || "regular_now").trim();
-
-    // doses base (numéricos)
-    const doseCho = carbo_g / icr;                                   // rápida (CHO)
-    const doseCor = Math.max(0, (Number(glicemia) - target) / isf);   // rápida (correção)
-    const dosePg  = strat === "regular_now" ? pg_cho_equiv_g / icr : 0; // Regular (P+G) agora
-
-    // valores arredondados para exibição
-    const rapidName   = String(cfg?.insulina_rapida || "Fiasp");
-    const rapidTotalU = r0(doseCho + doseCor);
-    const regularU    = r0(dosePg);
-
-    // Corrige o HTML da IA (sempre força o certo)
-    detalhes_html = patchRegularDose(detalhes_html, regularU);
-    detalhes_html = patchTotalBolus(detalhes_html, rapidName, rapidTotalU, regularU);
-
-    // gravação (se falhar com descrição_model, tentamos sem o HTML)
-    const insertPayload = {
-      user_id: userId,
-      data_hora: new Date().toISOString(),
-      tipo: tipo || "outro",
-      descricao: refeicao_resumo || String(message || "").trim(),
-      glicemia: Number(glicemia),
-      cho_total_g: Number(carbo_g),
-      pg_cho_equiv_g: Number(pg_cho_equiv_g),
-      dose_rapida_total: rapidTotalU,
-      dose_regular_pg: regularU,
-      descricao_model: detalhes_html,
-    };
-    let { error: e1 } = await supabase.from("refeicoes").insert(insertPayload);
-    if (e1) {
-      const basic = { ...insertPayload };
-      delete basic.descricao_model;
-      const retry = await supabase.from("refeicoes").insert(basic);
-      if (retry.error) throw e1;
-    }
+    // mesmas regras do PATCH: data_hora não pode estar no futuro, tipo da lista
+    const { data_hora, tipo, error: eQuando } = validarQuandoRefeicao(req.body);
+    if (eQuando) return res.status(400).json({ ok: false, error: eQuando });
+
+    const comp = completarItens(itens);
+    if (comp.error) return res.status(400).json({ ok: false, error: comp.error });
+    const { analise: editada, error } = validarAnalise({ itens: comp.itens, resumo: req.body?.descricao, observacoes: req.body?.observacoes });
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!editada.itens.length) return res.status(400).json({ ok: false, error: "Inclua ao menos um alimento." });
+    const analise = conciliarAnalise(editada);
+    const descricao = analise.resumo || analise.itens.map((it) => it.nome).join(", ");
+
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo, data_hora });
+    // IOB no horário da refeição (registro retroativo não desconta doses posteriores)
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend, data_hora });
+    const fotos = await uploadMealPhotosSafe(supabase, userId, imagens);
+
+    const { row, ns_sync } = await gravarRefeicao(supabase, userId, cfg, {
+      data_hora: data_hora.toISOString(), tipo, descricao, glicemia, analise, bolus, detalhes_html, fotos,
+    });
 
     res.json({
       ok: true,
-      input: { descricao: insertPayload.descricao, glicemia: Number(glicemia) },
-      config: {
-        insulina_rapida: cfg?.insulina_rapida || "Fiasp",
-        insulina_cho: icr,
-        glicose_insulina: isf,
-        target,
-        pg_strategy: strat,
-      },
-      totais: { carbo_g, pg_cho_equiv_g },
-      detalhes_html,
+      id: row?.id ?? null,
+      ns_sync,
+      ...respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }),
     });
+  } catch (e) {
+    console.error("[POST /api/refeicoes/confirmar]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
 
+/* ============ MODELOS (refeições favoritas) ============ */
+app.get("/api/modelos", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
 
+    const { data, error } = await supabase
+      .from("refeicao_modelos")
+      .select("id,nome,tipo,descricao,itens,cho_total_g,prot_g,gord_g,kcal_total,created_at")
+      .eq("user_id", userId)
+      .order("nome", { ascending: true });
+    if (error) throw error;
+    res.json({ ok: true, data: data || [] });
   } catch (e) {
-    console.error("[POST /api/chat]", e);
-    const msg = String(e?.message || "");
-    if (msg.startsWith("Timeout")) {
-      return res.status(504).json({ ok: false, error: "Timeout ao analisar a imagem." });
-    }
+    console.error("[GET /api/modelos]", e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+// Body: { userId, refeicaoId, nome } — salva a refeição (itens + macros) como modelo
+app.post("/api/modelos", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { refeicaoId, nome } = req.body || {};
+    const userId = req.user.id;
+    if (!refeicaoId) return res.status(400).json({ ok: false, error: "refeicaoId é obrigatório" });
 
-/* ===================== CHAT (IMAGEM) ===================== */
-app.post("/api/chat-image", async (req, res) => {
+    const { data: row, error: eSel } = await supabase
+      .from("refeicoes")
+      .select("id,user_id,tipo,descricao,itens")
+      .eq("id", refeicaoId)
+      .eq("user_id", userId)
+      .single();
+    if (eSel && eSel.code !== "PGRST116") throw eSel;
+    if (!row) return res.status(404).json({ ok: false, error: "Registro não encontrado." });
+
+    const { modelo, error } = modeloDeRefeicao(row, nome);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const { data, error: eIns } = await supabase.from("refeicao_modelos").insert(modelo).select("*").single();
+    if (eIns) throw eIns;
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/modelos]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/modelos/:id", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { id } = req.params;
+    const userId = req.user.id;
+    if (!id) return res.status(400).json({ ok: false, error: "id é obrigatório" });
+
+    const { data, error } = await supabase.from("refeicao_modelos").delete().eq("id", id).eq("user_id", userId).select("id");
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ ok: false, error: "Modelo não encontrado." });
+    res.json({ ok: true, deleted: id });
+  } catch (e) {
+    console.error("[DELETE /api/modelos/:id]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Registra uma refeição a partir do modelo: doses recalculadas com a glicemia e o perfil atuais, sem IA.
+// Body: { userId, modeloId, glicemia, tipo?, pg_strategy?, trend? }
+app.post("/api/refeicoes/from-template", proprio, async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId, glicemia, tipo, pg_strategy, image_data_url, message } = req.body || {};
-    if (!userId || typeof glicemia !== "number" || !image_data_url) {
+    const { modeloId, glicemia, pg_strategy, trend } = req.body || {};
+    const userId = req.user.id;
+    if (!modeloId || !glicemiaValida(glicemia)) {
       return res.status(400).json({ ok: false, error: "Parâmetros inválidos." });
     }
+    const { tipo, error: eTipo } = validarQuandoRefeicao({ tipo: req.body?.tipo });
+    if (eTipo) return res.status(400).json({ ok: false, error: eTipo });
 
-    const { data: cfgRaw } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
-    const cfg = { ...cfgRaw, pg_strategy: pg_strategy || cfgRaw?.pg_strategy || "regular_now" };
-
-    let detalhes_html = "";
-    let carbo_g = 0, pg_cho_equiv_g = 0, refeicao_resumo = "[foto]";
-
-    if (openai) {
-      const userText =
-        `Foto da refeição. Glicemia: ${glicemia} mg/dL. Tipo: ${tipo || "outro"}. ` +
-        (message ? `Observações: ${message}` : "");
-
-      const completion = await withTimeout(
-        openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          temperature: 0.1,
-          messages: [
-            { role: "system", content: systemPrompt(cfg) },
-            {
-              role: "user",
-              content: [
-                { type: "text", text: userText },
-                { type: "image_url", image_url: { url: image_data_url } },
-              ],
-            },
-          ],
-        }),
-        45000,"Timeout IA (chat-imagem)"
-      );
+    const { data: modelo, error: eSel } = await supabase
+      .from("refeicao_modelos")
+      .select("*")
+      .eq("id", modeloId)
+      .eq("user_id", userId)
+      .single();
+    if (eSel && eSel.code !== "PGRST116") throw eSel;
+    if (!modelo) return res.status(404).json({ ok: false, error: "Modelo não encontrado." });
 
-      const raw = completion.choices?.[0]?.message?.content || "";
-      detalhes_html = stripFences(raw);
-      const parsed = pickFromPre(raw);
-      carbo_g = parsed.carbo_g;
-      pg_cho_equiv_g = parsed.pg_cho_equiv_g;
-      if (parsed.resumo) refeicao_resumo = parsed.resumo;
-
-      // === Fallback P+G (a partir do HTML/tabela) ===
-      const percent = Math.max(0, Math.min(100, Number(cfg?.pct_cal_pf ?? 100))) / 100;
-      if (!(pg_cho_equiv_g > 0)) {
-        const r = computePgFromHtml(detalhes_html, percent);
-        pg_cho_equiv_g = r.choEq;
-      }
-      // === Força a regra SBD no HTML/JSON (usa % do cadastro e 10% gordura) ===
-      const enforced = enforcePgRule(detalhes_html, cfg);
-      detalhes_html   = enforced.html;
-      if (!(pg_cho_equiv_g > 0)) pg_cho_equiv_g = enforced.pg_cho_equiv_g;
-      // ==============================================
-    } else {
-      detalhes_html = "<em>Análise automática indisponível.</em>";
-      refeicao_resumo = String(message || "[foto]").trim();
-    }
-
-    // Upload foto para Storage (pode falhar sem travar o fluxo)
-    let foto_url = null;
-    try {
-      foto_url = await uploadMealPhoto(supabase, userId, image_data_url);
-    } catch (eUp) {
-      console.warn('[uploadMealPhoto]', eUp?.message || eUp);
-    }
-
-    const icr    = Number(cfg?.icr || cfg?.insulina_cho || 10);
-    const isf    = Number(cfg?.isf || cfg?.glicose_insulina || 50);
-    const target = Number(cfg?.target || 100);
-    const strat  = (cfg?.pg_strategy || "regular_now").trim();
-
-    const doseCho = carbo_g / icr;
-    const doseCor = Math.max(0, (Number(glicemia) - target) / isf);
-    const dosePg  = strat === "regular_now" ? pg_cho_equiv_g / icr : 0;
-
-    const rapidName   = String(cfg?.insulina_rapida || "Fiasp");
-    const rapidTotalU = r0(doseCho + doseCor);
-    const regularU    = r0(dosePg);
-
-    // aplicar patches no HTML
-    detalhes_html = patchRegularDose(detalhes_html, regularU);
-    detalhes_html = patchTotalBolus(detalhes_html, rapidName, rapidTotalU, regularU);
-
-    const insertPayload = {
-      user_id: userId,
-      data_hora: new Date().toISOString(),
-      tipo: tipo || "outro",
-      descricao: refeicao_resumo || String(message || "").trim(),
-      glicemia: Number(glicemia),
-      cho_total_g: Number(carbo_g),
-      pg_cho_equiv_g: Number(pg_cho_equiv_g),
-      dose_rapida_total: rapidTotalU,
-      dose_regular_pg: regularU,
-      descricao_model: detalhes_html,
-      foto_url,
-    };
-    let { error: e1 } = await supabase.from("refeicoes").insert(insertPayload);
-    if (e1) {
-      const basic = { ...insertPayload };          // <<< corrigido
-      delete basic.descricao_model;
-      const retry = await supabase.from("refeicoes").insert(basic);
-      if (retry.error) throw e1;
-    }
+    const data_hora = new Date().toISOString();
+    const tipoRef = tipo || modelo.tipo || "outro";
+    const cfg = await carregarCfgRefeicao(supabase, userId, { pg_strategy, tipo: tipoRef, data_hora });
+    const analise = analiseDoModelo(modelo);
+    const descricao = analise.resumo;
+    const { bolus, detalhes_html } = await dosarAnalise(supabase, userId, cfg, analise, { glicemia, trend });
+
+    const { row, ns_sync } = await gravarRefeicao(supabase, userId, cfg, { data_hora, tipo: tipoRef, descricao, glicemia, analise, bolus, detalhes_html });
 
     res.json({
       ok: true,
-      input: { descricao: insertPayload.descricao, glicemia: Number(glicemia) },
-      config: {
-        insulina_rapida: cfg?.insulina_rapida || "Fiasp",
-        insulina_cho: icr,
-        glicose_insulina: isf,
-        target,
-        pg_strategy: strat,
-      },
-      totais: { carbo_g, pg_cho_equiv_g },
-      detalhes_html,
+      id: row?.id ?? null,
+      ns_sync,
+      modelo: { id: modelo.id, nome: modelo.nome },
+      ...respostaRefeicao(cfg, { descricao, glicemia, analise, bolus, detalhes_html }),
     });
+  } catch (e) {
+    console.error("[POST /api/refeicoes/from-template]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
 
-    
+
+/* ================ BOLUS (cálculo determinístico) ================ */
+// Body: { userId?, carbo_g, prot_g?, gord_g?, pg_cho_equiv_g?, glicemia?, iob_u?, trend?, pg_strategy?, data_hora?, tipo? }
+// Cadastro do usuário do token; sem iob_u, o IOB vem das doses recentes; data_hora/tipo escolhem o perfil de horário.
+// A seta (trend) só ajusta a correção se o paciente ativou trend_ajuste.
+app.post("/api/bolus/calcular", proprio, async (req, res) => {
+  try {
+    // userId (opcional) já foi conferido por `proprio`: o cadastro é sempre o do token
+    const { userId: _userId, pg_strategy, data_hora, tipo, ...input } = req.body || {};
+    const errMsg = validarEntradaBolus(input);
+    if (errMsg) return res.status(400).json({ ok: false, error: errMsg });
+
+    const userId = req.user.id;
+    const supabase = supabaseFromReq(req);
+    const { data: cfgRaw, error } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
+    if (error && error.code !== "PGRST116") throw error;
+    let iob = null;
+    const quando = data_hora ? new Date(data_hora) : new Date();
+    if (Number.isNaN(quando.getTime())) return res.status(400).json({ ok: false, error: "data_hora inválida" });
+    const cfg = resolverPerfil(
+      { ...(cfgRaw || {}), pg_strategy: pg_strategy || cfgRaw?.pg_strategy || "regular_now" },
+      { data_hora: quando, tipo: tipo || "outro" }
+    );
+    if (input.iob_u == null) iob = await fetchIobSafe(supabase, userId, cfg, quando);
+    // mesma prioridade das rotas de refeição: Nightscout primeiro, tendência do cliente só sem NS
+    input.trend = await fetchNsTrend(cfg, input.trend);
+
+    const bolus = aplicarGuardrails(calcularBolus(input, cfg, { iob }), cfg);
+    res.json({ ok: true, bolus, warnings: bolus.warnings, detalhes_html: bolusHtml(bolus) });
   } catch (e) {
-    console.error("[POST /api/chat-image]", e);
-    // Fallback gentil: devolve sem análise para o front não travar
-    const { userId, glicemia, tipo, pg_strategy, message } = req.body || {};
+    console.error("[POST /api/bolus/calcular]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+
+/* ===================== ALIMENTOS (tabela local) ===================== */
+// ?q=texto&limit=10 → alimentos da tabela (valores por 100 g) ordenados por semelhança
+app.get("/api/alimentos", (req, res) => {
+  const q = String(req.query?.q || "").trim();
+  if (!q) return res.status(400).json({ ok: false, error: "q é obrigatório" });
+  res.json({ ok: true, data: buscarAlimentos(q, req.query?.limit) });
+});
+
+
+/* ===================== ESTATÍSTICAS ===================== */
+// ?userId=&start=&end= (padrão: últimos 14 dias; no máximo 90). Limites do cadastro (hipo/hiper).
+// Fonte: leituras do Nightscout se configurado; senão (ou se o NS falhar) as glicemias das refeições.
+const ESTAT_DIAS_PADRAO = 14;
+const ESTAT_DIAS_MAX = 90;
+
+// ?start=&end= → { inicio, fim } ou { error }
+function periodoDoReq({ start, end } = {}) {
+  const fim = end ? new Date(end) : new Date();
+  const inicio = start ? new Date(start) : new Date(fim.getTime() - ESTAT_DIAS_PADRAO * 86400000);
+  if (Number.isNaN(fim.getTime()) || Number.isNaN(inicio.getTime()) || inicio >= fim) return { error: "Período inválido." };
+  if (fim - inicio > ESTAT_DIAS_MAX * 86400000) return { error: `Período máximo de ${ESTAT_DIAS_MAX} dias.` };
+  return { inicio, fim };
+}
+
+// Filtro opcional de datas do histórico (start/end em ISO); sem limite de período
+function filtroDatasDoReq({ start, end } = {}) {
+  const inicio = start ? new Date(start) : null, fim = end ? new Date(end) : null;
+  if ((inicio && Number.isNaN(inicio.getTime())) || (fim && Number.isNaN(fim.getTime()))) return { error: "Período inválido." };
+  return { inicio: inicio?.toISOString(), fim: fim?.toISOString() };
+}
+
+// Leituras do período (Nightscout ou glicemias registradas) + métricas; também usado no relatório
+async function estatisticasDoPeriodo(supabase, userId, cfg, inicio, fim) {
+  const periodoMin = (fim - inicio) / 60000;
+  const hipo  = Number(cfg?.hipo)  > 0 ? Number(cfg.hipo)  : HIPO_PADRAO;
+  const hiper = Number(cfg?.hiper) > 0 ? Number(cfg.hiper) : HIPER_PADRAO;
+
+  let fonte = "refeicoes", leituras = null, aviso = null;
+  const nsUrl = cfg?.nightscout_url?.trim();
+  if (nsUrl) {
+    try {
+      // só o período pedido, até 1 leitura/min (CGMs de 1 min) + folga para uploads repetidos
+      const r = await fetchNightscoutEntries(nsUrl, cfg.nightscout_api_secret?.trim(), inicio.getTime(), Math.ceil(periodoMin) + 60, fim.getTime());
+      if (!r.ok) throw new Error(`Nightscout HTTP ${r.status}`);
+      leituras = normalizeSeries(await r.json()).filter((e) => new Date(e.date) <= fim);
+      fonte = "nightscout";
+    } catch (e) {
+      console.warn("[estatisticas] Nightscout", e?.message || e);
+      aviso = "Nightscout indisponível; usando as glicemias registradas nas refeições.";
+    }
+  }
+  if (!leituras) {
+    const [ref, reg] = await Promise.all(["refeicoes", "registros"].map((tabela) =>
+      supabase
+        .from(tabela)
+        .select("data_hora,glicemia")
+        .eq("user_id", userId)
+        .gte("data_hora", inicio.toISOString())
+        .lte("data_hora", fim.toISOString())
+    ));
+    if (ref.error) throw ref.error;
+    if (reg.error) throw reg.error;
+    leituras = [...leiturasDeRegistros(ref.data), ...leiturasDeRegistros(reg.data)];
+    aviso ||= "Sem Nightscout: estatísticas só com as glicemias registradas (refeições e medições avulsas — amostra pequena).";
+  }
+
+  const est = calcularEstatisticas(leituras, { hipo, hiper, cgm: fonte === "nightscout" });
+  // cobertura do sensor no intervalo real do CGM (consenso: ≥ 70% para TIR confiável)
+  if (fonte === "nightscout") Object.assign(est, coberturaSensor(leituras, periodoMin));
+
+  return {
+    leituras,
+    estatisticas: {
+      fonte,
+      aviso,
+      periodo: { inicio: inicio.toISOString(), fim: fim.toISOString(), dias: Math.round((periodoMin / 1440) * 10) / 10 },
+      limites: { hipo, hiper },
+      ...est,
+    },
+  };
+}
+
+app.get("/api/estatisticas", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId = req.user.id } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    const { inicio, fim, error: ePer } = periodoDoReq(req.query);
+    if (ePer) return res.status(400).json({ ok: false, error: ePer });
+
+    const { data: cfg, error: eCfg } = await supabase
+      .from("patient_settings")
+      .select("hipo, hiper, nightscout_url, nightscout_api_secret")
+      .eq("user_id", userId)
+      .single();
+    if (eCfg && eCfg.code !== "PGRST116") throw eCfg;
+
+    const { estatisticas } = await estatisticasDoPeriodo(supabase, userId, cfg, inicio, fim);
+    res.json({ ok: true, data: estatisticas });
+  } catch (e) {
+    console.error("[GET /api/estatisticas]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ===================== RELATÓRIO PDF ===================== */
+// ?userId=&start=&end= (mesmo período das estatísticas). Gerado no servidor para sair igual em qualquer aparelho.
+app.get("/api/relatorio.pdf", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId = req.user.id } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    const { inicio, fim, error: ePer } = periodoDoReq(req.query);
+    if (ePer) return res.status(400).json({ ok: false, error: ePer });
+
+    const { data: cfg, error: eCfg } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
+    if (eCfg && eCfg.code !== "PGRST116") throw eCfg;
+
+    const doPeriodo = (tabela) =>
+      supabase
+        .from(tabela)
+        .select("*")
+        .eq("user_id", userId)
+        .gte("data_hora", inicio.toISOString())
+        .lte("data_hora", fim.toISOString())
+        .order("data_hora", { ascending: true });
+    const [{ leituras, estatisticas }, ref, reg] = await Promise.all([
+      estatisticasDoPeriodo(supabase, userId, cfg, inicio, fim),
+      doPeriodo("refeicoes"),
+      doPeriodo("registros"),
+    ]);
+    if (ref.error) throw ref.error;
+    if (reg.error) throw reg.error;
+
+    const pdf = gerarRelatorioPdf({
+      cfg: cfg || {},
+      nome: cfg?.nome,
+      periodo: { inicio: inicio.toISOString(), fim: fim.toISOString() },
+      estatisticas,
+      leituras,
+      refeicoes: ref.data || [],
+      registros: reg.data || [],
+    });
+    const arquivo = `relatorio-glicocerto-${inicio.toISOString().slice(0, 10)}-a-${fim.toISOString().slice(0, 10)}.pdf`;
+    res.set({ "Content-Type": "application/pdf", "Content-Disposition": `attachment; filename="${arquivo}"` });
+    res.send(pdf);
+  } catch (e) {
+    console.error("[GET /api/relatorio.pdf]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+
+/* ============ SUGESTÕES DE AJUSTE (ICR/ISF) ============ */
+// ?userId=&days=30 (7–90). Pareia cada refeição com o CGM 2–4h depois e sugere ajustes por
+// tipo × período do dia. Somente leitura: as sugestões são para revisão da equipe, nunca aplicadas.
+app.get("/api/ajustes/sugestoes", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId = req.user.id } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    const days = Math.max(7, Math.min(90, Number(req.query?.days) || 30));
+
+    const { data: cfgRaw, error: eCfg } = await supabase.from("patient_settings").select("*").eq("user_id", userId).single();
+    if (eCfg && eCfg.code !== "PGRST116") throw eCfg;
+    const nsUrl = cfgRaw?.nightscout_url?.trim();
+    if (!nsUrl) return res.json({ ok: false, error: "Nightscout não configurado (é preciso CGM para avaliar o pós-refeição)." });
+
+    const agora = Date.now();
+    const since = agora - days * 86400000;
+    // refeições cuja janela de 2–4h já terminou
+    const ate = agora - POS_FIM_MIN * 60000;
+    const { data: rows, error } = await supabase
+      .from("refeicoes")
+      .select("id,data_hora,tipo,glicemia,cho_total_g,dose_rapida_total,dose_regular_pg,dose_rapida_aplicada,dose_regular_aplicada")
+      .eq("user_id", userId)
+      .gte("data_hora", new Date(since).toISOString())
+      .lte("data_hora", new Date(ate).toISOString())
+      .order("data_hora", { ascending: true });
+    if (error) throw error;
+    const { data: correcoes, error: eCor } = await supabase
+      .from("registros")
+      .select("data_hora")
+      .eq("user_id", userId)
+      .eq("tipo", "correcao")
+      .gte("data_hora", new Date(since).toISOString());
+    if (eCor) throw eCor;
+
+    const r = await fetchNightscoutEntries(nsUrl, cfgRaw.nightscout_api_secret?.trim(), since - 15 * 60000, days * 1440 + 15);
+    if (!r.ok) return res.status(r.status).json({ ok: false, error: `Nightscout HTTP ${r.status}` });
+    const serie = normalizeSeries(await r.json());
+
+    const { grupos, excluidas } = analisarAjustes(rows || [], serie, cfgRaw || {}, { correcoes: correcoes || [] });
     res.json({
       ok: true,
-      input: { descricao: String(message || "[foto]").trim(), glicemia: Number(glicemia || 0) },
-      config: {
-        insulina_rapida: "Fiasp",
-        insulina_cho: 10,
-        glicose_insulina: 50,
-        target: 100,
-        pg_strategy: pg_strategy || "regular_now",
+      data: {
+        days,
+        aviso: "Sugestões para revisão com a equipe de saúde. Nada foi alterado no cadastro.",
+        criterios: { janela_pos_min: [120, POS_FIM_MIN], min_refeicoes_grupo: MIN_REFEICOES_GRUPO },
+        refeicoes: (rows || []).length,
+        analisadas: grupos.reduce((a, g) => a + g.n, 0),
+        grupos,
+        excluidas,
       },
-      totais: { carbo_g: 0, pg_cho_equiv_g: 0 },
-      detalhes_html: "<em>Não foi possível analisar a imagem agora. Tente novamente ou descreva a refeição em texto.</em>",
     });
+  } catch (e) {
+    console.error("[GET /api/ajustes/sugestoes]", e);
+    res.status(500).json({ ok: false, error: e.message });
   }
 });
 
@@ -826,17 +1500,30 @@ app.post("/api/chat-image", async (req, res) => {
 app.get("/api/refeicoes", async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId, start, end, tipo } = req.query || {};
-    if (!userId) return res.status(400).json({ ok: false, error: "userId é obrigatório" });
-
-    let q = supabase.from("refeicoes").select("*").eq("user_id", userId).order("data_hora", { ascending: false });
-    if (start) q = q.gte("data_hora", new Date(start).toISOString());
-    if (end)   q = q.lte("data_hora", new Date(end).toISOString());
-    if (tipo && tipo !== "todos") q = q.eq("tipo", tipo);
-
-    const { data, error } = await q;
-    if (error) throw error;
-    res.json({ ok: true, data: data || [] });
+    const { userId = req.user.id, start, end, tipo } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    const filtro = filtroLinhaDoTempo(tipo);
+    if (!filtro) return res.status(400).json({ ok: false, error: "tipo inválido" });
+    const datas = filtroDatasDoReq({ start, end });
+    if (datas.error) return res.status(400).json({ ok: false, error: datas.error });
+
+    const consulta = (tabela, tipoEq) => {
+      let q = supabase.from(tabela).select("*").eq("user_id", userId).order("data_hora", { ascending: false });
+      if (datas.inicio) q = q.gte("data_hora", datas.inicio);
+      if (datas.fim)    q = q.lte("data_hora", datas.fim);
+      if (tipoEq) q = q.eq("tipo", tipoEq);
+      return q;
+    };
+    const vazio = { data: [] };
+    const [ref, reg] = await Promise.all([
+      filtro.refeicoes ? consulta("refeicoes", filtro.tipoRefeicao) : vazio,
+      filtro.registros ? consulta("registros", filtro.tipoRegistro) : vazio,
+    ]);
+    if (ref.error) throw ref.error;
+    if (reg.error) throw reg.error;
+    // refeições e registros avulsos numa linha do tempo só (campo `entrada`)
+    res.json({ ok: true, data: linhaDoTempo(ref.data, reg.data) });
   } catch (e) {
     console.error("[GET /api/refeicoes]", e);
     res.status(500).json({ ok: false, error: e.message });
@@ -846,50 +1533,485 @@ app.get("/api/refeicoes", async (req, res) => {
 app.get("/api/refeicoes/serie", async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
-    const { userId, days = 30 } = req.query || {};
-    if (!userId) return res.status(400).json({ ok: false, error: "userId é obrigatório" });
+    const { userId = req.user.id, days = 30 } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
 
     const since = new Date(Date.now() - Number(days) * 86400000).toISOString();
-    const { data, error } = await supabase
-      .from("refeicoes")
-      .select("data_hora,glicemia,cho_total_g,dose_rapida_total")
-      .eq("user_id", userId)
-      .gte("data_hora", since)
-      .order("data_hora", { ascending: true });
-    if (error) throw error;
-
-    // agrega por dia (média glicemia; soma carbo; soma insulina)
+    const [ref, reg] = await Promise.all([
+      supabase
+        .from("refeicoes")
+        .select("data_hora,glicemia,cho_total_g,dose_rapida_total,dose_rapida_aplicada")
+        .eq("user_id", userId)
+        .gte("data_hora", since),
+      supabase
+        .from("registros")
+        .select("tipo,data_hora,glicemia,unidades,duracao_min")
+        .eq("user_id", userId)
+        .gte("data_hora", since),
+    ]);
+    if (ref.error) throw ref.error;
+    if (reg.error) throw reg.error;
+
+    // agrega por dia (média glicemia; soma carbo; soma insulina rápida/correções; basal; minutos de exercício)
     const byDay = {};
-    for (const r of data || []) {
+    for (const r of linhaDoTempo(ref.data, reg.data)) {
       const day = new Date(r.data_hora).toISOString().slice(0, 10);
-      byDay[day] ||= { glyVals: [], cho: 0, ins: 0 };
+      byDay[day] ||= { glyVals: [], cho: 0, ins: 0, basal: 0, exer: 0 };
       if (Number.isFinite(r.glicemia)) byDay[day].glyVals.push(Number(r.glicemia));
-      byDay[day].cho += Number(r.cho_total_g || 0);
-      byDay[day].ins += Number(r.dose_rapida_total || 0);
+      if (r.entrada === "refeicao") {
+        byDay[day].cho += Number(r.cho_total_g || 0);
+        byDay[day].ins += doseRapidaDe(r);
+      } else if (r.tipo === "correcao") byDay[day].ins += Number(r.unidades || 0);
+      else if (r.tipo === "basal") byDay[day].basal += Number(r.unidades || 0);
+      else if (r.tipo === "exercicio") byDay[day].exer += Number(r.duracao_min || 0);
     }
-    const gly = [], cho = [], ins = [];
+    const gly = [], cho = [], ins = [], basal = [], exercicio = [];
     for (const day of Object.keys(byDay).sort()) {
       const b = byDay[day];
       const mean = b.glyVals.length ? b.glyVals.reduce((a, v) => a + v, 0) / b.glyVals.length : 0;
       gly.push({ x: day, y: mean });
       cho.push({ x: day, y: b.cho });
       ins.push({ x: day, y: b.ins });
+      basal.push({ x: day, y: b.basal });
+      exercicio.push({ x: day, y: b.exer });
     }
-    res.json({ ok: true, series: { gly, cho, ins } });
+    res.json({ ok: true, series: { gly, cho, ins, basal, exercicio } });
   } catch (e) {
     console.error("[GET /api/refeicoes/serie]", e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
-app.delete("/api/refeicoes/:id", async (req, res) => {
+app.patch("/api/refeicoes/:id", proprio, async (req, res) => {
   try {
     const supabase = supabaseFromReq(req);
     const { id } = req.params;
-    const { userId } = req.query;
-    if (!id || !userId) {
-      return res.status(400).json({ ok: false, error: "id e userId são obrigatórios" });
+    const { userId, ...body } = req.body || {};
+    const { mudancas, error: eVal } = validarEdicaoRefeicao(body);
+    if (eVal) return res.status(400).json({ ok: false, error: eVal });
+
+    const { data: row, error: eSel } = await supabase.from("refeicoes").select("*").eq("id", id).single();
+    if (eSel && eSel.code !== "PGRST116") throw eSel;
+    if (!row) return res.status(404).json({ ok: false, error: "Registro não encontrado." });
+    if ((row.user_id || "").trim() !== req.user.id) {
+      return res.status(403).json({ ok: false, error: "Sem permissão." });
+    }
+
+    const diffs = diffAuditoria(row, mudancas);
+    if (!diffs.length) return res.json({ ok: true, data: row, alterados: [] });
+
+    // auditoria primeiro: se não der para registrar o valor anterior, não altera
+    const alterado_em = new Date().toISOString();
+    const { error: eAud } = await supabase.from("refeicoes_auditoria").insert(
+      diffs.map((d) => ({ refeicao_id: row.id, user_id: req.user.id, alterado_em, ...d }))
+    );
+    if (eAud) throw eAud;
+
+    const patch = Object.fromEntries(diffs.map((d) => [d.campo, d.valor_novo]));
+    // tratamento já enviado ao Nightscout: marca para reenviar com os valores novos
+    if (row.ns_sync_status && diffs.some((d) => CAMPOS_NS.includes(d.campo))) {
+      Object.assign(patch, { ns_sync_status: "pendente", ns_sync_tentativas: 0, ns_sync_erro: null });
+    }
+    const { data, error } = await supabase.from("refeicoes").update(patch).eq("id", row.id).select("*").single();
+    if (error) throw error;
+    res.json({ ok: true, data, alterados: diffs.map((d) => d.campo) });
+  } catch (e) {
+    console.error("[PATCH /api/refeicoes/:id]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Sobras: foto(s) do prato depois de comer → CHO/P+G realmente consumidos.
+// Em split_rapid devolve a dose de P+G (2–3h) refeita; a rápida já aplicada que cobriu sobras vira alerta.
+// Body: { userId, image_data_url? e/ou imagens?, message?, glicemia? (atual, antes da dose de P+G) }
+// Grava cho_total_g/pg_cho_equiv_g consumidos (com auditoria) e o detalhe em `sobras`; `itens` (servido) não muda.
+app.post("/api/refeicoes/:id/sobras", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { imagens, error: eImg } = lerImagens(req.body);
+    if (eImg) return res.status(400).json({ ok: false, error: eImg });
+    if (!imagens.length) return res.status(400).json({ ok: false, error: "Envie a foto das sobras." });
+    const glicemia = req.body?.glicemia == null || req.body.glicemia === "" ? null : Number(req.body.glicemia);
+    if (glicemia != null && !(glicemia > 0 && glicemia < 1000)) return res.status(400).json({ ok: false, error: "glicemia inválida" });
+    if (!ia) return res.status(503).json({ ok: false, error: "Análise automática indisponível (configure IA_PROVEDOR ou OPENAI_API_KEY)." });
+
+    const { data: row, error: eSel } = await supabase.from("refeicoes").select("*").eq("id", req.params.id).single();
+    if (eSel && eSel.code !== "PGRST116") throw eSel;
+    if (!row) return res.status(404).json({ ok: false, error: "Registro não encontrado." });
+    if ((row.user_id || "").trim() !== req.user.id) return res.status(403).json({ ok: false, error: "Sem permissão." });
+    if (!row.itens?.length) return res.status(400).json({ ok: false, error: "Refeição sem itens analisados: não há como descontar as sobras." });
+
+    // a estratégia de P+G não é gravada: Regular registrada indica regular_now
+    const cfg = await carregarCfgRefeicao(supabase, req.user.id, {
+      pg_strategy: Number(row.dose_regular_pg) > 0 ? "regular_now" : undefined,
+      tipo: row.tipo,
+      data_hora: row.data_hora,
+    });
+    const sobras = await analisarSobras(cfg, row.itens, { imagens, texto: String(req.body?.message || "").trim() });
+    const consumo = consumoComSobras({ itens: row.itens }, sobras);
+    const macros = (t) => ({ carbo_g: t.carbo_totais_g, prot_g: t.prot_g, gord_g: t.gord_g });
+    const doses = dosesComSobras(macros(consumo.servido), macros(consumo.consumido), cfg, { glicemia });
+    const fotos = await uploadMealPhotosSafe(supabase, req.user.id, imagens, "-sobras");
+
+    const mudancas = {
+      cho_total_g: consumo.consumido.carbo_totais_g,
+      pg_cho_equiv_g: doses.pg_consumido_g,
+    };
+    const diffs = diffAuditoria(row, mudancas);
+    const alterado_em = new Date().toISOString();
+    if (diffs.length) {
+      const { error: eAud } = await supabase.from("refeicoes_auditoria").insert(
+        diffs.map((d) => ({ refeicao_id: row.id, user_id: req.user.id, alterado_em, ...d }))
+      );
+      if (eAud) throw eAud;
     }
+    const patch = {
+      ...mudancas,
+      sobras: {
+        em: alterado_em,
+        itens: sobras.itens,
+        fotos: fotos || [],
+        servido: consumo.servido,
+        consumido: consumo.consumido,
+        excesso_u: doses.excesso_u,
+        rapida_depois_u: doses.rapida_depois_u,
+      },
+    };
+    if (row.ns_sync_status && diffs.some((d) => CAMPOS_NS.includes(d.campo))) {
+      Object.assign(patch, { ns_sync_status: "pendente", ns_sync_tentativas: 0, ns_sync_erro: null });
+    }
+    const { data, error } = await supabase.from("refeicoes").update(patch).eq("id", row.id).select("*").single();
+    if (error) throw error;
+    res.json({ ok: true, data, sobras: { itens: sobras.itens, observacoes: sobras.observacoes }, consumo, doses, warnings: doses.warnings });
+  } catch (e) {
+    console.error("[POST /api/refeicoes/:id/sobras]", e);
+    erroAnalise(res, e);
+  }
+});
+
+app.get("/api/refeicoes/:id/auditoria", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { data: row, error: eSel } = await supabase.from("refeicoes").select("id,user_id").eq("id", req.params.id).single();
+    if (eSel && eSel.code !== "PGRST116") throw eSel;
+    if (!row) return res.status(404).json({ ok: false, error: "Registro não encontrado." });
+    const auth = await autorizarPaciente(req, supabase, row.user_id);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+
+    const { data, error } = await supabase
+      .from("refeicoes_auditoria")
+      .select("campo,valor_anterior,valor_novo,alterado_em,user_id")
+      .eq("refeicao_id", row.id)
+      .order("alterado_em", { ascending: false });
+    if (error) throw error;
+    res.json({ ok: true, campos_editaveis: CAMPOS_EDITAVEIS, data: data || [] });
+  } catch (e) {
+    console.error("[GET /api/refeicoes/:id/auditoria]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ===================== IMPORTAÇÃO (CSV/XLSX) ===================== */
+// body: { arquivo (dataURL ou base64), formato?: "auto" | mysugr | libreview | glicocerto,
+//         ordem_data?: "dmy" | "mdy", confirmar?: boolean }
+// Sem `confirmar` é só a prévia (nada é gravado). Duplicado = mesmo minuto (e tipo) já no histórico.
+const IMPORT_AMOSTRA = 20;
+const IMPORT_LOTE = 500;
+
+// Tudo do período (o PostgREST devolve no máximo 1000 linhas por vez)
+async function selecionarTodos(montar) {
+  const out = [];
+  for (let de = 0; ; de += 1000) {
+    const { data, error } = await montar().range(de, de + 999);
+    if (error) throw error;
+    out.push(...(data || []));
+    if (!data || data.length < 1000) return out;
+  }
+}
+
+app.post("/api/importar", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+    const { arquivo, formato = "auto", ordem_data, confirmar = false } = req.body || {};
+    if (!arquivo) return res.status(400).json({ ok: false, error: "arquivo é obrigatório" });
+    if (formato !== "auto" && !FORMATOS.includes(formato)) {
+      return res.status(400).json({ ok: false, error: `formato deve ser auto, ${FORMATOS.join(", ")}` });
+    }
+    if (ordem_data && !["dmy", "mdy"].includes(ordem_data)) return res.status(400).json({ ok: false, error: "ordem_data deve ser dmy ou mdy" });
+
+    const buf = Buffer.from(String(arquivo).replace(/^data:[^,]*,/, ""), "base64");
+    const { data: cfg } = await supabase.from("patient_settings").select("fuso_horario").eq("user_id", userId).single();
+
+    let plano;
+    try {
+      plano = planejarImportacao(lerPlanilha(buf), { formato, ordem_data, fuso: cfg?.fuso_horario || undefined });
+    } catch (e) {
+      if (e.code === "IMPORT_INVALIDA") return res.status(400).json({ ok: false, error: e.message });
+      throw e;
+    }
+
+    const periodo = periodoDoPlano(plano);
+    const existentes = { refeicoes: [], registros: [] };
+    if (periodo) {
+      const doPeriodo = (tabela, campos) => () =>
+        supabase.from(tabela).select(campos).eq("user_id", userId).gte("data_hora", periodo.inicio).lte("data_hora", periodo.fim)
+          .order("data_hora").order("id"); // id desempata: data_hora repetida não pula/repete linha entre páginas
+      [existentes.refeicoes, existentes.registros] = await Promise.all([
+        selecionarTodos(doPeriodo("refeicoes", "data_hora")),
+        selecionarTodos(doPeriodo("registros", "tipo,data_hora")),
+      ]);
+    }
+    const { novas, duplicadas } = separarDuplicados(plano, existentes);
+    const resumo = {
+      formato: plano.formato,
+      ordem_data: plano.ordem_data,
+      periodo,
+      refeicoes: novas.refeicoes.length,
+      registros: novas.registros.length,
+      duplicadas: duplicadas.length,
+      ignoradas: plano.ignoradas.length,
+    };
+
+    if (!confirmar) {
+      return res.json({
+        ok: true,
+        dry_run: true,
+        resumo,
+        amostra: { refeicoes: novas.refeicoes.slice(0, IMPORT_AMOSTRA), registros: novas.registros.slice(0, IMPORT_AMOSTRA) },
+        duplicadas: duplicadas.slice(0, 50),
+        ignoradas: plano.ignoradas.slice(0, 50),
+      });
+    }
+
+    // em lotes; se um lote falhar, informa quanto já entrou (reimportar pula o que já existe)
+    const gravadas = { refeicoes: 0, registros: 0 };
+    for (const [tabela, linhas] of [["refeicoes", novas.refeicoes], ["registros", novas.registros]]) {
+      let semOrigem = false; // banco sem a coluna opcional `origem`: grava o resto sem ela
+      for (let i = 0; i < linhas.length; i += IMPORT_LOTE) {
+        const lote = linhas.slice(i, i + IMPORT_LOTE).map((r) => ({ ...r, user_id: userId }));
+        const basico = () => lote.map(({ origem, ...r }) => r);
+        let { error } = await supabase.from(tabela).insert(semOrigem ? basico() : lote);
+        if (error && !semOrigem) {
+          // mesmo fallback de inserirRefeicao: tenta sem a coluna opcional antes de desistir
+          const retry = await supabase.from(tabela).insert(basico());
+          if (!retry.error) { error = null; semOrigem = true; }
+        }
+        if (error) {
+          console.error("[POST /api/importar] insert", tabela, error.message);
+          return res.status(500).json({ ok: false, error: `Falha ao gravar ${tabela}: ${error.message}`, gravadas, resumo });
+        }
+        gravadas[tabela] += lote.length;
+      }
+    }
+    res.json({ ok: true, dry_run: false, resumo, gravadas });
+  } catch (e) {
+    console.error("[POST /api/importar]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ===================== LGPD: EXPORTAÇÃO E EXCLUSÃO ===================== */
+// Só o próprio titular. A conta de login (auth.users) só pode ser apagada com
+// SUPABASE_SERVICE_ROLE_KEY; sem ela o recibo informa conta_login "pendente".
+// O RLS precisa permitir delete ao dono em cada tabela e ao convidado nas linhas de acessos dele
+// (por convidado_id e, nos convites pendentes, por convidado_email = e-mail do token).
+async function listarFotos(supabase, userId) {
+  const pasta = pastaFotos(userId);
+  const out = [];
+  for (let offset = 0; ; offset += 1000) {
+    const { data, error } = await supabase.storage.from("refeicoes").list(pasta, { limit: 1000, offset });
+    if (error) throw error;
+    out.push(...(data || []).filter((o) => o.id).map((o) => `${pasta}/${o.name}`));
+    if (!data || data.length < 1000) return out;
+  }
+}
+
+app.get("/api/conta/exportar", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+
+    const dados = {};
+    for (const { tabela, coluna, chave } of TABELAS_DO_USUARIO) {
+      dados[tabela] = await selecionarTodos(() => supabase.from(tabela).select("*").eq(coluna, userId).order(chave));
+    }
+    dados.patient_settings = dados.patient_settings.map(semSegredos);
+
+    const fotos = [];
+    for (const caminho of await listarFotos(supabase, userId)) {
+      const { data, error } = await supabase.storage.from("refeicoes").download(caminho);
+      if (error) throw error;
+      fotos.push({ nome: caminho.split("/").pop(), conteudo: Buffer.from(await data.arrayBuffer()) });
+    }
+
+    const zip = await montarExportacao({ usuario: req.user, dados, fotos });
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="glicocerto-meus-dados-${new Date().toISOString().slice(0, 10)}.zip"`,
+    });
+    res.send(zip);
+  } catch (e) {
+    console.error("[GET /api/conta/exportar]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// body: { confirmar: "EXCLUIR" }. Apaga linhas, fotos e (se possível) o login; devolve o recibo.
+app.delete("/api/conta", proprio, async (req, res) => {
+  try {
+    if (req.body?.confirmar !== "EXCLUIR") {
+      return res.status(400).json({ ok: false, error: 'Confirme enviando { "confirmar": "EXCLUIR" }.' });
+    }
+    const supabase = supabaseFromReq(req);
+    const userId = req.user.id;
+    const removidos = {}, falhas = [];
+
+    // filhas antes do cadastro; segue mesmo se uma tabela falhar e registra no recibo
+    for (const { tabela, coluna } of [...TABELAS_DO_USUARIO].reverse()) {
+      const { data, error } = await supabase.from(tabela).delete().eq(coluna, userId).select(coluna);
+      if (error) { falhas.push({ tabela, erro: error.message }); continue; }
+      removidos[tabela] = (data || []).length;
+    }
+    // acessos que outros pacientes deram a este usuário: aceitos (convidado_id) e convites
+    // ainda pendentes para o e-mail dele (guardam o e-mail, dado pessoal)
+    const { data: recebidos, error: eRec } = await supabase.from("acessos").delete().eq("convidado_id", userId).select("id");
+    if (eRec) falhas.push({ tabela: "acessos (recebidos)", erro: eRec.message });
+    else removidos.acessos_recebidos = (recebidos || []).length;
+    if (req.user.email) {
+      const { data: convites, error: eConv } = await supabase.from("acessos").delete().eq("convidado_email", req.user.email).select("id");
+      if (eConv) falhas.push({ tabela: "acessos (convites pendentes)", erro: eConv.message });
+      else removidos.convites_recebidos = (convites || []).length;
+    }
+
+    let fotos = 0;
+    try {
+      const caminhos = await listarFotos(supabase, userId);
+      for (let i = 0; i < caminhos.length; i += 100) {
+        const { error } = await supabase.storage.from("refeicoes").remove(caminhos.slice(i, i + 100));
+        if (error) throw error;
+        fotos += caminhos.slice(i, i + 100).length;
+      }
+    } catch (e) {
+      falhas.push({ tabela: "storage:refeicoes", erro: e.message });
+    }
+
+    let conta_login = "pendente";
+    if (process.env.SUPABASE_SERVICE_ROLE_KEY && !falhas.length) {
+      const admin = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+        auth: { persistSession: false, autoRefreshToken: false },
+      });
+      const { error } = await admin.auth.admin.deleteUser(userId);
+      if (error) falhas.push({ tabela: "auth.users", erro: error.message });
+      else conta_login = "excluida";
+    }
+
+    const recibo = reciboExclusao({ usuario: req.user, removidos, fotos, conta_login, falhas });
+    console.log("[DELETE /api/conta] recibo", recibo.recibo_id, recibo.status);
+    res.status(falhas.length ? 500 : 200).json({ ok: !falhas.length, recibo, ...(falhas.length ? { error: "Exclusão parcial; veja recibo.falhas e tente de novo." } : {}) });
+  } catch (e) {
+    console.error("[DELETE /api/conta]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+/* ===================== REGISTROS AVULSOS ===================== */
+// Glicemia, correção, basal e exercício fora das refeições (registros.js).
+async function registroDoDono(req, supabase) {
+  const { data: row, error } = await supabase.from("registros").select("*").eq("id", req.params.id).single();
+  if (error && error.code !== "PGRST116") throw error;
+  if (!row) return { status: 404, error: "Registro não encontrado." };
+  if ((row.user_id || "").trim() !== req.user.id) return { status: 403, error: "Sem permissão." };
+  return { row };
+}
+
+app.get("/api/registros", async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId = req.user.id, start, end, tipo } = req.query || {};
+    const auth = await autorizarPaciente(req, supabase, userId);
+    if (auth.error) return res.status(auth.status).json({ ok: false, error: auth.error });
+    const datas = filtroDatasDoReq({ start, end });
+    if (datas.error) return res.status(400).json({ ok: false, error: datas.error });
+
+    let q = supabase.from("registros").select("*").eq("user_id", userId).order("data_hora", { ascending: false });
+    if (datas.inicio) q = q.gte("data_hora", datas.inicio);
+    if (datas.fim)    q = q.lte("data_hora", datas.fim);
+    if (tipo && tipo !== "todos") q = q.eq("tipo", tipo);
+    const { data, error } = await q;
+    if (error) throw error;
+    res.json({ ok: true, data: data || [] });
+  } catch (e) {
+    console.error("[GET /api/registros]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post("/api/registros", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { userId, ...body } = req.body || {};
+    const { registro, error: eVal } = validarRegistro(body);
+    if (eVal) return res.status(400).json({ ok: false, error: eVal });
+
+    if (!registro.insulina && (registro.tipo === "correcao" || registro.tipo === "basal")) {
+      const { data: cfg } = await supabase.from("patient_settings").select("insulina_rapida,insulina_basal").eq("user_id", req.user.id).single();
+      registro.insulina = insulinaPadrao(registro.tipo, cfg);
+    }
+    const { data, error } = await supabase
+      .from("registros")
+      .insert({ ...registro, user_id: req.user.id })
+      .select("*")
+      .single();
+    if (error) throw error;
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[POST /api/registros]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.patch("/api/registros/:id", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { row, status, error: eDono } = await registroDoDono(req, supabase);
+    if (eDono) return res.status(status).json({ ok: false, error: eDono });
+
+    const { userId, ...body } = req.body || {};
+    const { registro, error: eVal } = validarRegistro(body, { parcial: true, tipoAtual: row.tipo });
+    if (eVal) return res.status(400).json({ ok: false, error: eVal });
+    if (!Object.keys(registro).length) return res.json({ ok: true, data: row });
+
+    const { data, error } = await supabase.from("registros").update(registro).eq("id", row.id).select("*").single();
+    if (error) throw error;
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error("[PATCH /api/registros/:id]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/registros/:id", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { row, status, error: eDono } = await registroDoDono(req, supabase);
+    if (eDono) return res.status(status).json({ ok: false, error: eDono });
+
+    const { error } = await supabase.from("registros").delete().eq("id", row.id);
+    if (error) throw error;
+    res.json({ ok: true, deleted: row.id });
+  } catch (e) {
+    console.error("[DELETE /api/registros/:id]", e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/refeicoes/:id", proprio, async (req, res) => {
+  try {
+    const supabase = supabaseFromReq(req);
+    const { id } = req.params;
+    if (!id) return res.status(400).json({ ok: false, error: "id é obrigatório" });
 
     const { data: row, error: eSel } = await supabase
       .from("refeicoes")
@@ -898,7 +2020,8 @@ app.delete("/api/refeicoes/:id", async (req, res) => {
       .single();
     if (eSel && eSel.code !== "PGRST116") throw eSel;
     if (!row) return res.status(404).json({ ok: false, error: "Registro não encontrado." });
-    if ((row.user_id || "").trim() !== (userId || "").trim()) {
+    // dono verificado pelo token, não pelo que o cliente informou
+    if ((row.user_id || "").trim() !== req.user.id) {
       return res.status(403).json({ ok: false, error: "Sem permissão." });
     }
 
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { melhorAlimento, buscarAlimentos, conciliarAnalise, tokens } from "../alimentos.js";
+
+test("tokens: minúsculas, sem acento, singular aproximado; mantém 'sem'", () => {
+  assert.deepEqual(tokens("Pães franceses"), ["pao", "frances"]);
+  assert.deepEqual(tokens("Suco sem açúcar"), ["suco", "sem", "acucar"]);
+});
+
+test("melhorAlimento casa nomes e sinônimos da tabela", () => {
+  assert.equal(melhorAlimento("Arroz branco cozido").nome, "Arroz, tipo 1, cozido");
+  assert.equal(melhorAlimento("Feijão carioca").nome, "Feijão, carioca, cozido");
+  assert.equal(melhorAlimento("Pão francês").nome, "Pão, trigo, francês");
+  assert.equal(melhorAlimento("Coca-Cola").nome, "Refrigerante, tipo cola");
+  assert.equal(melhorAlimento("Leite desnatado").nome, "Leite, de vaca, desnatado");
+});
+
+test("melhorAlimento não troca versão zero/diet/light pela tradicional", () => {
+  for (const nome of ["Coca-Cola Zero", "Refrigerante cola zero", "Leite condensado diet", "Pão de forma light", "Suco de laranja sem açúcar", "Chocolate diet"]) {
+    assert.equal(melhorAlimento(nome), null, nome);
+  }
+});
+
+test("melhorAlimento não ignora acompanhamento no nome", () => {
+  assert.equal(melhorAlimento("Pão francês com manteiga"), null);
+  assert.equal(melhorAlimento("Tapioca com queijo"), null);
+});
+
+test("melhorAlimento não casa a versão integral/desnatada sem o modificador", () => {
+  assert.equal(melhorAlimento("Arroz cozido").nome, "Arroz, tipo 1, cozido");
+  assert.notEqual(melhorAlimento("Leite")?.nome, "Leite, de vaca, desnatado");
+});
+
+test("busca do endpoint continua tolerante (ranking parcial)", () => {
+  assert.equal(buscarAlimentos("coca zero", 1)[0].nome, "Refrigerante, tipo cola");
+});
+
+test("conciliarAnalise mantém os valores da IA quando não há match estrito", () => {
+  const item = { nome: "Coca-Cola Zero", gramas: 350, cho_g: 0, fibras_g: 0, poliois_g: 0, proteina_g: 0, gordura_g: 0, kcal: 2, confianca: "alta" };
+  const [it] = conciliarAnalise({ itens: [item] }).itens;
+  assert.equal(it.fonte, "IA");
+  assert.equal(it.cho_g, 0);
+  const [arroz] = conciliarAnalise({ itens: [{ ...item, nome: "arroz branco", gramas: 100, cho_g: 40 }] }).itens;
+  assert.equal(arroz.fonte, "TACO");
+  assert.equal(arroz.alimento_ref.nome, "Arroz, tipo 1, cozido");
+});
+
+test("conciliarAnalise: CHO da tabela leva junto as fibras e descarta os polióis da IA", () => {
+  const item = { nome: "arroz branco", gramas: 100, cho_g: 40, fibras_g: 9, poliois_g: 12, proteina_g: 3, gordura_g: 0, kcal: 150, confianca: "alta" };
+  const [arroz] = conciliarAnalise({ itens: [item] }).itens;
+  assert.equal(arroz.cho_g, 28.1);
+  assert.equal(arroz.fibras_g, 1.6);
+  assert.equal(arroz.poliois_g, 0);
+  assert.equal(arroz.valores_ia.fibras_g, 9);
+  assert.equal(arroz.valores_ia.poliois_g, 12);
+});
@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import { assinarJwt, verificarJwt, usuarioDoPayload, exigirUsuario, proprio } from "../auth.js";
+
+const SEGREDO = "segredo-de-teste";
+const b64url = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+
+test("verificarJwt aceita token assinado localmente", () => {
+  const p = verificarJwt(assinarJwt({ sub: "u1", email: "A@B.C" }, SEGREDO), SEGREDO);
+  assert.equal(p.sub, "u1");
+  assert.deepEqual(usuarioDoPayload(p), { id: "u1", email: "a@b.c" });
+});
+
+test("verificarJwt recusa assinatura de outro segredo", () => {
+  assert.throws(() => verificarJwt(assinarJwt({ sub: "u1" }, "outro"), SEGREDO), { code: "JWT_INVALIDO", message: "assinatura inválida" });
+});
+
+test("verificarJwt recusa payload adulterado", () => {
+  const [h, , sig] = assinarJwt({ sub: "u1" }, SEGREDO).split(".");
+  const falso = `${h}.${b64url({ sub: "u2", role: "authenticated" })}.${sig}`;
+  assert.throws(() => verificarJwt(falso, SEGREDO), { code: "JWT_INVALIDO" });
+});
+
+test("verificarJwt recusa alg diferente de HS256 (none, RS256)", () => {
+  const body = b64url({ sub: "u1", role: "authenticated" });
+  assert.throws(() => verificarJwt(`${b64url({ alg: "none" })}.${body}.`, SEGREDO), /algoritmo não suportado/);
+  const h = b64url({ alg: "RS256", typ: "JWT" });
+  const sig = crypto.createHmac("sha256", SEGREDO).update(`${h}.${body}`).digest("base64url");
+  assert.throws(() => verificarJwt(`${h}.${body}.${sig}`, SEGREDO), /algoritmo não suportado/);
+});
+
+test("verificarJwt respeita exp com folga", () => {
+  const agora = Date.UTC(2025, 0, 1);
+  const token = assinarJwt({ sub: "u1" }, SEGREDO, { expiraEmS: 60, agora });
+  assert.ok(verificarJwt(token, SEGREDO, { agora: agora + 80_000 }));
+  assert.throws(() => verificarJwt(token, SEGREDO, { agora: agora + 120_000 }), { message: "token expirado" });
+});
+
+test("verificarJwt recusa token malformado", () => {
+  assert.throws(() => verificarJwt("abc", SEGREDO), { message: "token malformado" });
+  assert.throws(() => verificarJwt("a.b.c", SEGREDO), { message: "token malformado" });
+});
+
+test("anon key (role anon, sem sub) não é usuário", () => {
+  const p = verificarJwt(assinarJwt({ role: "anon" }, SEGREDO), SEGREDO);
+  assert.equal(usuarioDoPayload(p), null);
+  assert.equal(usuarioDoPayload({ role: "authenticated" }), null);
+});
+
+// App mínimo com os middlewares do server.js
+async function servidor(t) {
+  const app = express();
+  app.use(express.json());
+  const usuarioDoReq = async (req) => {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) return null;
+    try {
+      return usuarioDoPayload(verificarJwt(token, SEGREDO));
+    } catch {
+      return null;
+    }
+  };
+  app.use("/api", exigirUsuario(usuarioDoReq, { publicas: ["/env"] }));
+  app.get("/api/env", (req, res) => res.json({ ok: true }));
+  app.post("/api/dados", proprio, (req, res) => res.json({ ok: true, id: req.user.id }));
+  app.get("/api/dados/:userId", proprio, (req, res) => res.json({ ok: true, id: req.user.id }));
+  const srv = app.listen(0);
+  t.after(() => srv.close());
+  await new Promise((r) => srv.once("listening", r));
+  const base = `http://127.0.0.1:${srv.address().port}`;
+  return (caminho, { token, body } = {}) =>
+    fetch(base + caminho, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body && JSON.stringify(body),
+    });
+}
+
+test("middleware: 401 sem token, token inválido ou anon; rota pública livre", async (t) => {
+  const req = await servidor(t);
+  assert.equal((await req("/api/env")).status, 200);
+  assert.equal((await req("/api/dados/u1")).status, 401);
+  assert.equal((await req("/api/dados/u1", { token: assinarJwt({ sub: "u1" }, "outro") })).status, 401);
+  assert.equal((await req("/api/dados/u1", { token: assinarJwt({ role: "anon" }, SEGREDO) })).status, 401);
+  const vencido = assinarJwt({ sub: "u1" }, SEGREDO, { expiraEmS: 60, agora: Date.now() - 3600_000 });
+  assert.equal((await req("/api/dados/u1", { token: vencido })).status, 401);
+});
+
+test("proprio: 403 quando o userId não é o do token", async (t) => {
+  const req = await servidor(t);
+  const token = assinarJwt({ sub: "u1" }, SEGREDO);
+  assert.equal((await req("/api/dados/u2", { token })).status, 403);
+  assert.equal((await req("/api/dados", { token, body: { userId: "u2" } })).status, 403);
+  assert.equal((await req("/api/dados?userId=u2", { token, body: {} })).status, 403);
+
+  const ok = await req("/api/dados/u1", { token });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).id, "u1");
+  // sem userId a rota usa o do token
+  assert.equal((await (await req("/api/dados", { token, body: {} })).json()).id, "u1");
+});
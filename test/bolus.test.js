@@ -0,0 +1,138 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  calcularBolus, aplicarGuardrails, calcularIob, arredondarDose, pgEquivalente, iobFraction, INSULIN_CURVES,
+  validarPerfis, resolverPerfil, bolusHtml, MAX_NOME_PERFIL, validarLimites, BOLUS_MAX_PCT_PADRAO,
+} from "../bolus.js";
+
+const CFG = { icr: 10, isf: 50, target: 100, insulina_rapida: "Fiasp", pg_strategy: "regular_now", pct_cal_pf: 100 };
+
+test("arredondarDose: ≥ 0,5 sobe; passo de meia unidade", () => {
+  assert.equal(arredondarDose(2.5), 3);
+  assert.equal(arredondarDose(2.49), 2);
+  assert.equal(arredondarDose(2.3, 0.5), 2.5);
+  assert.equal(arredondarDose(-1), 0);
+});
+
+test("pgEquivalente: proteína integral + 10% da gordura ÷ 10", () => {
+  const pg = pgEquivalente(20, 10, 100);
+  assert.equal(pg.kcalConsiderada, 80 + 9);
+  assert.equal(pg.pg_cho_equiv_g, 8.9);
+});
+
+test("calcularBolus: CHO + correção, P+G com Regular agora", () => {
+  const b = calcularBolus({ carbo_g: 60, prot_g: 20, gord_g: 10, glicemia: 200 }, CFG);
+  assert.equal(b.cho.dose, 6);
+  assert.equal(b.correcao.dose, 2);
+  assert.equal(b.rapida_agora_u, 8);
+  assert.equal(b.regular_u, 1);
+  assert.equal(b.rapida_depois_u, 0);
+  assert.equal(b.total_u, 9);
+});
+
+test("calcularBolus: split_rapid manda a P+G para 2–3h", () => {
+  const b = calcularBolus({ carbo_g: 60, prot_g: 40, gord_g: 20, glicemia: 100 }, { ...CFG, pg_strategy: "split_rapid" });
+  assert.equal(b.regular_u, 0);
+  assert.equal(b.rapida_depois_u, 2);
+  assert.equal(b.pg.momento, "2-3h");
+});
+
+test("calcularBolus: IOB só abate a correção", () => {
+  const b = calcularBolus({ carbo_g: 50, glicemia: 250, iob_u: 5 }, CFG);
+  assert.equal(b.correcao.bruta, 3);
+  assert.equal(b.correcao.dose, 0);
+  assert.equal(b.rapida_agora_u, 5);
+});
+
+test("calcularBolus: seta de tendência só com trend_ajuste", () => {
+  assert.equal(calcularBolus({ carbo_g: 0, glicemia: 150, trend: "SingleUp" }, CFG).correcao.glicemia_ajustada, 150);
+  const b = calcularBolus({ carbo_g: 0, glicemia: 150, trend: "SingleUp" }, { ...CFG, trend_ajuste: true });
+  assert.equal(b.correcao.glicemia_ajustada, 200);
+  assert.equal(b.rapida_agora_u, 2);
+});
+
+test("aplicarGuardrails: hipoglicemia zera todas as doses", () => {
+  const g = aplicarGuardrails(calcularBolus({ carbo_g: 60, prot_g: 20, gord_g: 10, glicemia: 60 }, CFG), CFG);
+  assert.equal(g.total_u, 0);
+  assert.equal(g.guardrail.status, "recusado");
+  assert.equal(g.guardrail.original.rapida_agora_u, 6);
+  assert.equal(g.warnings[0].code, "HIPO");
+});
+
+test("aplicarGuardrails: abaixo do alvo reduz a rápida", () => {
+  const g2 = aplicarGuardrails(calcularBolus({ carbo_g: 60, glicemia: 75 }, { ...CFG, isf: 20 }), { ...CFG, isf: 20 });
+  assert.equal(g2.rapida_agora_u, 5); // 6 − 1,25
+  assert.equal(g2.guardrail.status, "reduzido");
+  assert.ok(g2.warnings.some((w) => w.code === "ABAIXO_ALVO"));
+});
+
+test("aplicarGuardrails: hiperglicemia alerta sobre cetonas", () => {
+  const g = aplicarGuardrails(calcularBolus({ carbo_g: 30, glicemia: 260 }, CFG), CFG);
+  const w = g.warnings.find((x) => x.code === "HIPER");
+  assert.equal(w.nivel, "critico");
+  assert.match(w.mensagem, /cetonas/);
+});
+
+test("aplicarGuardrails: teto por bolus corta primeiro a P+G", () => {
+  const cfg = { ...CFG, dose_diaria: 40, bolus_max_pct: 20 };
+  const g = aplicarGuardrails(calcularBolus({ carbo_g: 70, prot_g: 40, gord_g: 20, glicemia: 100 }, cfg), cfg);
+  assert.equal(g.total_u, 8);
+  assert.equal(g.regular_u, 1);
+  assert.equal(g.rapida_agora_u, 7);
+  assert.ok(g.warnings.some((w) => w.code === "DOSE_MAXIMA"));
+});
+
+test("aplicarGuardrails: teto padrão limita um bolus a uma fração da dose diária", () => {
+  const cfg = { ...CFG, dose_diaria: 40 };
+  const g = aplicarGuardrails(calcularBolus({ carbo_g: 200, glicemia: 100 }, cfg), cfg);
+  assert.equal(g.total_u, (40 * BOLUS_MAX_PCT_PADRAO) / 100);
+  assert.equal(g.guardrail.original.total_u, 20);
+});
+
+test("validarLimites: faixas de hipo, hiper e bolus_max_pct", () => {
+  assert.equal(validarLimites({ hipo: 70, hiper: 180, bolus_max_pct: 25 }), null);
+  assert.equal(validarLimites({ hipo: null, hiper: "" }), null);
+  assert.match(validarLimites({ hipo: 200 }), /hipo/);
+  assert.match(validarLimites({ hiper: 90 }), /hiper/);
+  assert.match(validarLimites({ bolus_max_pct: 0 }), /bolus_max_pct/);
+  assert.match(validarLimites({ bolus_max_pct: "50" }), /bolus_max_pct/);
+});
+
+test("iobFraction: 1 no início, 0 ao fim da ação", () => {
+  assert.equal(iobFraction(0, INSULIN_CURVES.fiasp), 1);
+  assert.equal(iobFraction(360, INSULIN_CURVES.fiasp), 0);
+  const meio = iobFraction(120, INSULIN_CURVES.fiasp);
+  assert.ok(meio > 0.3 && meio < 0.8);
+});
+
+test("calcularIob: soma só doses passadas e dentro da duração", () => {
+  const agora = new Date("2025-03-01T12:00:00Z");
+  const r = calcularIob([
+    { data_hora: "2025-03-01T11:00:00Z", unidades: 4, tipo: "rapida" },
+    { data_hora: "2025-03-01T10:00:00Z", unidades: 2, tipo: "regular" },
+    { data_hora: "2025-03-01T04:00:00Z", unidades: 10, tipo: "rapida" }, // fora da duração
+    { data_hora: "2025-03-01T13:00:00Z", unidades: 10, tipo: "rapida" }, // futura
+  ], CFG, agora);
+  assert.equal(r.curva_rapida, "fiasp");
+  assert.equal(r.doses.length, 2);
+  assert.ok(r.total_u > 3 && r.total_u < 6);
+  assert.equal(r.doses[1].insulina, "Regular");
+});
+
+test("validarPerfis limita o nome do perfil", () => {
+  const faixa = { inicio: "06:00", fim: "10:00" };
+  assert.equal(validarPerfis([{ ...faixa, nome: "  Manhã  " }]).perfis[0].nome, "Manhã");
+  assert.equal(validarPerfis([faixa]).perfis[0].nome, "06:00–10:00");
+  assert.match(validarPerfis([{ ...faixa, nome: "x".repeat(MAX_NOME_PERFIL + 1) }]).error, /no máximo/);
+});
+
+test("bolusHtml escapa nome do perfil, insulina e tendência", () => {
+  const xss = "<img src=x onerror=alert(1)>";
+  const { perfis } = validarPerfis([{ nome: xss, inicio: "00:00", fim: "23:59" }]);
+  const cfg = resolverPerfil({ ...CFG, insulina_rapida: `Fiasp${xss}`, perfis, trend_ajuste: true }, { data_hora: "2025-03-01T12:00:00Z" });
+  const b = aplicarGuardrails(calcularBolus({ carbo_g: 40, glicemia: 150, trend: "<b>x" }, cfg), cfg);
+  const html = bolusHtml(b);
+  assert.ok(!html.includes("<img"));
+  assert.ok(!html.includes("<b>x"));
+  assert.ok(html.includes("&lt;img src=x onerror=alert(1)&gt;"));
+});
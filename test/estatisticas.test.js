@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { coberturaSensor } from "../estatisticas.js";
+
+const serie = (n, passoMin, inicio = Date.UTC(2025, 2, 1)) =>
+  Array.from({ length: n }, (_, i) => ({ mgdl: 120, date: new Date(inicio + i * passoMin * 60000).toISOString() }));
+
+test("coberturaSensor usa o intervalo do próprio CGM", () => {
+  // dia completo: 1 min → 1441 pontos; 5 min → 289
+  assert.deepEqual(coberturaSensor(serie(1441, 1), 1440), { intervalo_min: 1, cobertura_pct: 100 });
+  assert.deepEqual(coberturaSensor(serie(289, 5), 1440), { intervalo_min: 5, cobertura_pct: 100 });
+  // CGM de 1 min com metade do dia: não pode aparecer como 100% (5 min presumidos)
+  assert.deepEqual(coberturaSensor(serie(720, 1), 1440), { intervalo_min: 1, cobertura_pct: 50 });
+});
+
+test("coberturaSensor: buracos não mudam o intervalo; série curta presume 5 min", () => {
+  const comBuraco = [...serie(100, 5), ...serie(100, 5, Date.UTC(2025, 2, 1, 12))];
+  assert.equal(coberturaSensor(comBuraco, 1440).intervalo_min, 5);
+  assert.equal(coberturaSensor(comBuraco, 1440).cobertura_pct, 69);
+  assert.deepEqual(coberturaSensor(serie(1, 1), 60), { intervalo_min: 5, cobertura_pct: 8 });
+});
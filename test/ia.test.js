@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { criarProvedorIA, configIA, analiseMock } from "../ia.js";
+import { MEAL_SCHEMA, parseAnalise, totaisDaAnalise } from "../refeicao.js";
+
+test("configIA: mock explícito, openai sem chave é erro, sem nada fica desligada", () => {
+  assert.equal(configIA({ IA_PROVEDOR: "mock" }).config.provedor, "mock");
+  assert.match(configIA({ IA_PROVEDOR: "openai" }).error, /OPENAI_API_KEY/);
+  assert.equal(configIA({}).config.provedor, null);
+  assert.throws(() => criarProvedorIA({ IA_PROVEDOR: "xyz" }), { code: "IA_CONFIG" });
+});
+
+test("provedor mock passa pela validação da análise (parseAnalise)", async () => {
+  const ia = criarProvedorIA({ IA_PROVEDOR: "mock" });
+  const { content } = await ia.completar({ system: "", user: "Refeição textual: 100 g arroz branco, 80 g feijão carioca", schema: MEAL_SCHEMA });
+  const { analise, error } = parseAnalise(content);
+  assert.equal(error, undefined);
+  assert.equal(analise.itens.length, 2);
+  assert.ok(analise.itens.every((it) => it.confianca === "media" && it.cho_g > 0));
+  assert.ok(totaisDaAnalise(analise).carbo_totais_g > 30);
+});
+
+test("mock: alimento fora da tabela entra zerado com confiança baixa", () => {
+  const { itens, observacoes } = analiseMock("200 g xyzabc");
+  assert.equal(itens[0].cho_g, 0);
+  assert.equal(itens[0].confianca, "baixa");
+  assert.match(observacoes, /Fora da tabela/);
+});
+
+test("mock respeita o signal e chama aoParcial", async () => {
+  const ia = criarProvedorIA({ IA_PROVEDOR: "mock" });
+  const parciais = [];
+  await ia.completar({ user: "arroz", schema: MEAL_SCHEMA, aoParcial: (p) => parciais.push(p) });
+  assert.equal(parciais.length, 1);
+  const ctrl = new AbortController();
+  ctrl.abort();
+  await assert.rejects(ia.completar({ user: "arroz", schema: MEAL_SCHEMA, signal: ctrl.signal }));
+});
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  lerPlanilha, planejarImportacao, separarDuplicados, periodoDoPlano, detectarOrdemData, lerDataHora, lerNumero, instanteNoFuso,
+} from "../importacao.js";
+
+const csv = (linhas) => lerPlanilha(Buffer.from(linhas.join("\n"), "utf8"));
+const FUSO = "America/Sao_Paulo"; // UTC−3, sem horário de verão desde 2019
+
+test("lerNumero: vírgula decimal, sugestão entre parênteses e vazio", () => {
+  assert.equal(lerNumero("6,5"), 6.5);
+  assert.equal(lerNumero("4.0 (sug. 3.0)"), 4);
+  assert.equal(lerNumero("-"), null);
+  assert.equal(lerNumero(""), null);
+});
+
+test("datas: ordem dmy/mdy pelo arquivo, horário de parede no fuso do paciente", () => {
+  assert.equal(detectarOrdemData(["03/04/2024", "25/04/2024"]), "dmy");
+  assert.equal(detectarOrdemData(["04/25/2024"]), "mdy");
+  assert.equal(lerDataHora("15/03/2024", "12:30", { fuso: FUSO }), "2024-03-15T15:30:00.000Z");
+  assert.equal(lerDataHora("Mar 15, 2024", "1:05 PM", { fuso: FUSO }), "2024-03-15T16:05:00.000Z");
+  assert.equal(instanteNoFuso({ ano: 2024, mes: 7, dia: 1, hora: 8 }, "Europe/Lisbon"), "2024-07-01T07:00:00.000Z");
+  assert.equal(lerDataHora("ontem", "12:00", { fuso: FUSO }), null);
+  assert.equal(lerDataHora("31/13/2024", "12:00", { fuso: FUSO }), null);
+});
+
+test("GlicoCerto: refeições, correção e basal pelo rótulo da coluna Refeição", () => {
+  const plano = planejarImportacao(csv([
+    "Data,Refeição,Glicemia,Alimento (descrição),Total CHO,Total Gordura+Proteína,Total Insulina CHO,Total Insulina Proteína + Gordura",
+    "15/03/2024 12:30,ALMOCO,140,Arroz e feijão,60,8,6,1",
+    "15/03/2024 16:00,CORREÇÃO,220,Correção 2.0 U Fiasp,,,2,",
+    "15/03/2024 22:00,BASAL,,Basal 18.0 U Tresiba,,,,",
+  ]), { fuso: FUSO });
+  assert.equal(plano.formato, "glicocerto");
+  assert.deepEqual(plano.refeicoes, [{
+    data_hora: "2024-03-15T15:30:00.000Z", tipo: "almoco", descricao: "Arroz e feijão", glicemia: 140,
+    cho_total_g: 60, pg_cho_equiv_g: 8, dose_rapida_total: 6, dose_regular_pg: 1, origem: "importacao:glicocerto",
+  }]);
+  assert.deepEqual(plano.registros.map((r) => [r.tipo, r.unidades]), [["correcao", 2], ["basal", 18]]);
+  assert.ok(plano.registros.every((r) => r.origem === "importacao:glicocerto"));
+});
+
+test("mySugr (CSV): tags viram tipo, caneta + bomba somam, data ilegível é ignorada", () => {
+  const plano = planejarImportacao(csv([
+    "Date,Time,Tags,Blood Sugar Measurement (mg/dL),Insulin Injection Units (Pen),Insulin Injection Units (Pump),Basal Injection Units,Meal Carbohydrates (Grams. Factor 1),Meal Descriptions,Note",
+    "03/25/2024,7:10 AM,Breakfast,110,3,1,,40,Pão com ovo,",
+    "03/25/2024,3:00 PM,,250,2,,,,,",
+    "sem data,8:00 AM,,100,,,,,,",
+  ]), { fuso: FUSO });
+  assert.equal(plano.formato, "mysugr");
+  assert.equal(plano.ordem_data, "mdy");
+  assert.equal(plano.refeicoes.length, 1);
+  assert.equal(plano.refeicoes[0].tipo, "cafe");
+  assert.equal(plano.refeicoes[0].dose_rapida_total, 4);
+  assert.equal(plano.refeicoes[0].data_hora, "2024-03-25T10:10:00.000Z");
+  assert.deepEqual(plano.registros.map((r) => r.tipo), ["correcao"]);
+  assert.deepEqual(plano.ignoradas, [{ linha: 4, motivo: "data/hora não reconhecida" }]);
+});
+
+test("LibreView (CSV): linha de título, junta comida e insulina do mesmo minuto, ignora histórico do sensor", () => {
+  const plano = planejarImportacao(csv([
+    "Patient report,,,,,,",
+    "Device,Device Timestamp,Record Type,Historic Glucose mg/dL,Scan Glucose mg/dL,Rapid-Acting Insulin (units),Carbohydrates (grams)",
+    "FreeStyle,15-03-2024 12:30,0,130,,,",
+    "FreeStyle,15-03-2024 12:31,5,,,,45",
+    "FreeStyle,15-03-2024 12:31,4,,,5,",
+    "FreeStyle,15-03-2024 12:31,1,,128,,",
+  ]), { fuso: FUSO });
+  assert.equal(plano.formato, "libreview");
+  assert.equal(plano.refeicoes.length, 1);
+  assert.equal(plano.refeicoes[0].cho_total_g, 45);
+  assert.equal(plano.refeicoes[0].dose_rapida_total, 5);
+  assert.equal(plano.refeicoes[0].glicemia, 128);
+  assert.match(plano.ignoradas[0].motivo, /sensor/);
+});
+
+test("CSV genérico (sem colunas conhecidas) é recusado", () => {
+  assert.throws(() => planejarImportacao(csv(["nome,valor", "a,1"])), { code: "IMPORT_INVALIDA", message: /Formato não reconhecido/ });
+  assert.throws(() => lerPlanilha(Buffer.from("PK\u0003\u0004lixo")), { code: "IMPORT_INVALIDA" });
+});
+
+test("separarDuplicados: mesmo minuto do histórico ou repetido no arquivo", () => {
+  const plano = planejarImportacao(csv([
+    "Data,Refeição,Glicemia,Alimento (descrição),Total CHO,Total Gordura+Proteína,Total Insulina CHO,Total Insulina Proteína + Gordura",
+    "15/03/2024 12:30,ALMOCO,140,Arroz,60,0,6,0",
+    "15/03/2024 19:00,JANTAR,150,Sopa,30,0,3,0",
+    "15/03/2024 19:00:40,JANTAR,150,Sopa,30,0,3,0",
+  ]), { fuso: FUSO });
+  // 19:00 e 19:00:40 caem no mesmo minuto: juntadas já no plano
+  assert.equal(plano.refeicoes.length, 2);
+  const existentes = { refeicoes: [{ data_hora: "2024-03-15T15:30:20Z" }], registros: [] };
+  const { novas, duplicadas } = separarDuplicados({ ...plano, refeicoes: [...plano.refeicoes, plano.refeicoes[1]] }, existentes);
+  assert.deepEqual(novas.refeicoes.map((r) => r.descricao), ["Sopa — Sopa"]);
+  assert.deepEqual(duplicadas.map((d) => d.descricao), ["Arroz", "Sopa — Sopa"]);
+  assert.deepEqual(periodoDoPlano(plano), { inicio: "2024-03-15T15:30:00.000Z", fim: "2024-03-15T22:01:00.000Z" });
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import crypto from "crypto";
+import { postNightscoutTreatment, mealBolusTreatment, fetchNightscoutEntries } from "../nightscout.js";
+
+// Nightscout falso: exige API-SECRET (texto puro ou SHA-1) e guarda os treatments recebidos
+async function nightscoutMock(t, { secret = "segredo-ns", aceitaPuro = false, status = 200, atrasoMs = 0 } = {}) {
+  const recebidos = [];
+  const srv = http.createServer((req, res) => {
+    let corpo = "";
+    req.on("data", (c) => (corpo += c));
+    req.on("end", () => {
+      const puro = req.headers["api-secret"] === secret;
+      const hash = req.headers["api-secret"] === crypto.createHash("sha1").update(secret).digest("hex");
+      if (!(hash || (aceitaPuro && puro))) {
+        res.writeHead(401).end();
+        return;
+      }
+      recebidos.push({ metodo: req.method, url: req.url, body: JSON.parse(corpo || "null") });
+      setTimeout(() => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify([{ _id: "ns-123", ...JSON.parse(corpo || "{}") }]));
+      }, atrasoMs);
+    });
+  });
+  srv.listen(0);
+  await new Promise((r) => srv.once("listening", r));
+  t.after(() => srv.close());
+  return { url: `http://127.0.0.1:${srv.address().port}/`, recebidos };
+}
+
+const ROW = { data_hora: "2025-03-01T12:00:00Z", descricao: "Arroz e feijão", glicemia: 140, cho_total_g: 45.4, dose_rapida_total: 5, dose_regular_pg: 1 };
+
+test("postNightscoutTreatment envia o Meal Bolus e devolve o _id", async (t) => {
+  const ns = await nightscoutMock(t);
+  const r = await postNightscoutTreatment(ns.url, "segredo-ns", mealBolusTreatment(ROW, { insulina_rapida: "Fiasp" }));
+  assert.deepEqual(r, { id: "ns-123" });
+  // 1ª tentativa (texto puro) recusada → reenvio com SHA-1
+  assert.equal(ns.recebidos.length, 1);
+  const { metodo, url, body } = ns.recebidos[0];
+  assert.equal(metodo, "POST");
+  assert.equal(url, "/api/v1/treatments");
+  assert.equal(body.eventType, "Meal Bolus");
+  assert.equal(body.carbs, 45);
+  assert.equal(body.insulin, 6);
+  assert.equal(body.glucose, 140);
+  assert.equal(body.notes, "Arroz e feijão — Fiasp 5U + Regular 1U");
+});
+
+test("postNightscoutTreatment aceita API-SECRET em texto puro", async (t) => {
+  const ns = await nightscoutMock(t, { aceitaPuro: true });
+  assert.deepEqual(await postNightscoutTreatment(ns.url, "segredo-ns", { eventType: "Note" }), { id: "ns-123" });
+});
+
+test("postNightscoutTreatment lança erro com HTTP de falha", async (t) => {
+  const ns = await nightscoutMock(t, { status: 500 });
+  await assert.rejects(postNightscoutTreatment(ns.url, "segredo-ns", { eventType: "Note" }), /Nightscout HTTP 500/);
+  const errado = await nightscoutMock(t);
+  await assert.rejects(postNightscoutTreatment(errado.url, "outro", { eventType: "Note" }), /Nightscout HTTP 401/);
+});
+
+test("postNightscoutTreatment aborta no timeout", async (t) => {
+  const ns = await nightscoutMock(t, { atrasoMs: 500 });
+  await assert.rejects(postNightscoutTreatment(ns.url, "segredo-ns", { eventType: "Note" }, 50), { name: "AbortError" });
+});
+
+test("mealBolusTreatment reusa ns_treatment_id para não duplicar", () => {
+  const t = mealBolusTreatment({ ...ROW, ns_treatment_id: "abc", dose_rapida_aplicada: 4 }, {});
+  assert.equal(t._id, "abc");
+  assert.equal(t.insulin, 5);
+});
+
+test("fetchNightscoutEntries limita o período nas duas pontas", async (t) => {
+  const ns = await nightscoutMock(t);
+  await fetchNightscoutEntries(ns.url, "segredo-ns", 1000.7, 1500, 2000.2);
+  const q = new URL(ns.recebidos[0].url, "http://x").searchParams;
+  assert.equal(q.get("find[date][$gte]"), "1000");
+  assert.equal(q.get("find[date][$lte]"), "2000");
+  assert.equal(q.get("count"), "1500");
+});
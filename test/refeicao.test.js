@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validarEdicaoRefeicao, validarQuandoRefeicao } from "../refeicao.js";
+
+const AGORA = Date.UTC(2025, 2, 1, 12, 0);
+
+test("validarEdicaoRefeicao recusa campos não editáveis e data no futuro", () => {
+  assert.match(validarEdicaoRefeicao({ user_id: "x" }, AGORA).error, /não editáveis/);
+  assert.equal(validarEdicaoRefeicao({ data_hora: new Date(AGORA + 10 * 60000).toISOString() }, AGORA).error, "data_hora no futuro");
+  assert.deepEqual(validarEdicaoRefeicao({ glicemia: "120.4", dose_rapida_aplicada: 3.25 }, AGORA).mudancas, { glicemia: 120, dose_rapida_aplicada: 3.3 });
+});
+
+test("validarQuandoRefeicao: agora por padrão; mesmas regras da edição", () => {
+  assert.deepEqual(validarQuandoRefeicao({}, AGORA), { data_hora: new Date(AGORA) });
+  const r = validarQuandoRefeicao({ data_hora: "2025-03-01T08:00:00Z", tipo: "cafe" }, AGORA);
+  assert.equal(r.data_hora.toISOString(), "2025-03-01T08:00:00.000Z");
+  assert.equal(r.tipo, "cafe");
+  assert.equal(validarQuandoRefeicao({ data_hora: "2025-03-02T08:00:00Z" }, AGORA).error, "data_hora no futuro");
+  assert.equal(validarQuandoRefeicao({ data_hora: "ontem" }, AGORA).error, "data_hora inválida");
+  assert.match(validarQuandoRefeicao({ tipo: "brunch" }, AGORA).error, /tipo deve ser/);
+});
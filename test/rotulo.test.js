@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseRotulo, lerModoAnalise, analiseDoRotulo } from "../rotulo.js";
+import { ROTULO_MOCK } from "../ia.js";
+import { macrosDaAnalise, validarAnalise } from "../refeicao.js";
+
+test("lerModoAnalise: prato por padrão; rótulo exige foto e quanto comeu", () => {
+  assert.deepEqual(lerModoAnalise({}), { modo: "prato" });
+  assert.match(lerModoAnalise({ modo: "rotulo", porcoes: 1 }).error, /precisa da foto/);
+  assert.match(lerModoAnalise({ modo: "rotulo" }, { fotos: 1 }).error, /quantidade_g OU porcoes/);
+  assert.match(lerModoAnalise({ modo: "rotulo", porcoes: 1, quantidade_g: 30 }, { fotos: 1 }).error, /OU/);
+  assert.deepEqual(lerModoAnalise({ modo: "rotulo", quantidade_g: "45" }, { fotos: 1 }), { modo: "rotulo", consumo: { quantidade_g: 45 } });
+  assert.match(lerModoAnalise({ modo: "x" }).error, /modo deve ser/);
+});
+
+test("parseRotulo: ilegível é marcado à parte", () => {
+  assert.deepEqual(parseRotulo('{"legivel":false,"observacoes":"reflexo"}'), { error: "rótulo ilegível: reflexo", ilegivel: true });
+  assert.match(parseRotulo(JSON.stringify({ ...ROTULO_MOCK, carboidratos_g: 40 })).error, /maiores que a porção/);
+});
+
+test("analiseDoRotulo: escala pela quantidade; dose usa carboidrato líquido", () => {
+  const { rotulo } = parseRotulo(JSON.stringify({ ...ROTULO_MOCK, poliois_g: 4 }));
+  const analise = analiseDoRotulo(rotulo, { quantidade_g: 45 });
+  const [it] = analise.itens;
+  assert.equal(it.fonte, "rotulo");
+  assert.equal(it.cho_g, 31.5); // (20 + 1) × 1,5
+  assert.equal(it.fibras_g, 1.5);
+  assert.equal(it.poliois_g, 6);
+  assert.equal(macrosDaAnalise(analise).carbo_g, 27); // 31,5 − 1,5 − ½ × 6
+  // passa pela validação da análise sem perder a fonte
+  assert.equal(validarAnalise(analise).analise.itens[0].fonte, "rotulo");
+});